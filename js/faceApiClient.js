@@ -0,0 +1,1576 @@
+/**
+ * faceApiClient.js
+ * ----------------
+ * Promise based client for the face detection worker.
+ *
+ *   const client = new FaceApiClient({ detectorOptions: { scoreThreshold: 0.5 } });
+ *   await client.ready();                       // start the worker, load models, warm up
+ *   const result = await client.detect(canvas); // one-off detection
+ *   client.on('detection', result => { ... });  // every video frame
+ *   await client.startVideo(videoElement);      // camera + detection loop
+ *   const descriptors = await client.register();
+ *   const match = await client.verify(descriptors);
+ *   client.identify(gallery);                   // 1:N, 'identified' on every frame
+ *   await client.enroll('alice', descriptors);  // persisted by the worker (IndexedDB)
+ *   const { identity } = await client.getIdentity('alice');
+ *   const { images } = await client.computeDescriptors(fileInput.files); // still photos
+ *   const { gallery, report } = await client.buildGallery(folderInput.files); // label/photo.jpg
+ *
+ * The worker script runs as a Service Worker, a SharedWorker or a dedicated
+ * Worker with the same message protocol. Where none of them can run face-api
+ * (no workers, or no OffscreenCanvas for faceEnvWorkerPatch.js) the same
+ * pipeline (faceDetectionPipeline.js) runs on the page itself – 'main-thread'
+ * mode – and replies with identical messages. `options.transport` picks one,
+ * or 'auto' tries them in that order (see FaceApiClient.TRANSPORTS): service
+ * workers are unavailable on file://, insecure origins and some webviews.
+ * `client.transport.kind` tells which one is in use.
+ *
+ * The client owns the worker connection, the request/response correlation
+ * (requestId + frameSeq, see faceDetectionPipeline.js) and the video loop.
+ * It does not touch the DOM beyond the elements it is handed, so pages decide
+ * how results are drawn (faceapi_warmup.js is one such page layer).
+ *
+ * Events (subscribe with `client.on(type, fn)`; `fn` receives the payload):
+ *   ready         – models loaded and warm-up finished
+ *   transport     – a worker transport was connected ({ kind, scope })
+ *   models-loaded – the worker reported MODELS_LOADED (also broadcast by other tabs)
+ *   model-progress – weights are downloading ({ net, netIndex, netCount, loadedBytes,
+ *                   totalBytes, overallLoadedBytes, overallTotalBytes })
+ *   warmup        – warm-up detection finished
+ *   detection     – a frame was processed (stale frames are never emitted)
+ *   capture       – register() accepted a descriptor ({ descriptor, faceIndex, count, maxCaptures,
+ *                   quality })
+ *   capture-rejected – register() skipped a face below `qualityThresholds` or too close
+ *                   to an earlier capture ({ faceIndex, quality, reasons: [{ check, value,
+ *                   limit, message }] })
+ *   registered    – register() / registerPoses() collected all captures ({ descriptors,
+ *                   captures }); `captures` feed createDescriptorFile()
+ *   pose-progress – registerPoses() processed a frame ({ stepIndex, stepCount, label,
+ *                   prompt, pose, inPose, held, hint }); `held` runs 0…1 while the pose
+ *                   is held, `hint` says what to change (null when nothing)
+ *   verified      – verify() found a match ({ descriptor, distance, faceIndex, registeredIndex });
+ *                   `registeredIndex` is the matched entry of the registered descriptors
+ *   identified    – identify() matched a frame ({ frameSeq, matches: [{ faceIndex, box,
+ *                   label, distance, runnerUp: { label, distance } | null }] });
+ *                   `label` is 'unknown' when the best distance is not below the threshold
+ *   gallery-progress – buildGallery() finished a photo ({ done, total, entry })
+ *   identities-changed – an identity was enrolled or deleted, from any tab ({ label })
+ *   error         – a FaceApiError from the video loop (direct calls reject instead)
+ *
+ * Results follow the worker's versioned schema (see serializeFace in
+ * faceDetectionPipeline.js): `{ schemaVersion, displaySize, faces: [...] }`
+ * with plain `box`, `score`, `landmarks`, `descriptor` and `crop` per face.
+ * A frame may contain several faces (up to `maxDetectedFaces`): `faceIndex`
+ * always refers to `result.faces[faceIndex]`.
+ *
+ * Failed requests reject with a FaceApiError whose `code` is one of the
+ * worker's ERROR_CODES (MODELS_NOT_LOADED, MODEL_LOAD_FAILED, MODEL_INTEGRITY_FAILED,
+ * INVALID_FRAME, INFERENCE_FAILED, UNKNOWN_MESSAGE, INVALID_IDENTITY,
+ * IDENTITY_NOT_FOUND, STORE_FAILED), TIMEOUT when no reply
+ * arrived in time, or WORKER_ERROR when a dedicated/shared worker failed to
+ * start or crashed. identify() throws INVALID_GALLERY for a malformed gallery;
+ * FaceApiClient.decryptJson() throws CRYPTO_UNAVAILABLE, UNSUPPORTED_CONTAINER
+ * or DECRYPT_FAILED (wrong passphrase or tampered file), and
+ * FaceApiClient.parseDescriptorFile() INVALID_DESCRIPTOR_FILE or
+ * UNSUPPORTED_DESCRIPTOR_FILE. MODEL_INTEGRITY_FAILED carries `details.problems`, one
+ * entry per bad file: { net, file, problem, expectedBytes?, actualBytes?, status? }.
+ */
+class FaceApiError extends Error {
+	constructor(code, message, details) {
+		super(message);
+		this.name = 'FaceApiError';
+		this.code = code;
+		this.details = details;
+	}
+}
+
+class FaceApiClient extends EventTarget {
+	constructor(options = {}) {
+		super();
+		this.options = Object.assign({}, FaceApiClient.defaults, options);
+		this.options.detectorOptions = Object.assign({}, options.detectorOptions);
+
+		this.transport = null;      // { kind, postMessage, close } of the connected worker
+		this.sessionId = Math.random().toString(36).slice(2, 10);
+		this.requestCounter = 0;
+		this.frameSequence = 0;     // Sequence number of the last frame sent
+		this.lastFrameSeq = 0;      // Sequence number of the last frame delivered
+		this.pending = new Map();   // requestId -> { type, resolve, reject }
+
+		this.video = null;
+		this.videoRunning = false;
+		this.videoDetectorOptions = null;
+		this.videoCropOptions = null;
+		this.action = null;         // Active register() / verify() session
+		this.frameCanvas = null;    // Scratch canvas used to turn media into ImageData
+		this.cameraRequests = new WeakMap(); // video -> pending getUserMedia promise
+
+		this.sessionDetectorOptions = null; // Effective options the worker reported for this session
+		this.readyPromise = null;
+		this.handleMessage = this.handleMessage.bind(this);
+	}
+
+	/**
+	 * Subscribes to a client event. The handler receives the event payload
+	 * (not the DOM event). Returns a function that removes the subscription.
+	 */
+	on(type, handler) {
+		const listener = event => handler(event.detail);
+		this.addEventListener(type, listener);
+		return () => this.removeEventListener(type, listener);
+	}
+
+	emit(type, detail) {
+		this.dispatchEvent(new CustomEvent(type, { detail }));
+	}
+
+	/**
+	 * Connects to the worker, loads the models and runs the warm-up
+	 * detection. Safe to call many times – every call returns the same promise.
+	 */
+	ready() {
+		if (!this.readyPromise) {
+			this.readyPromise = this.initialize();
+		}
+		return this.readyPromise;
+	}
+
+	async initialize() {
+		await this.connect();
+		await this.loadModels();
+		await this.setDetectorOptions(this.options.detectorOptions);
+		if (this.options.warmupImageUrl) {
+			await this.warmup();
+		}
+		this.emit('ready', this);
+		return this;
+	}
+
+	/**
+	 * Opens the first transport in `options.transport` (or every one of
+	 * FaceApiClient.TRANSPORTS for 'auto') whose worker answers a PING within
+	 * `options.connectTimeout`.
+	 * @returns {Promise<{kind: string, scope: string}>}
+	 */
+	async connect() {
+		const kinds = this.options.transport === 'auto' ? FaceApiClient.TRANSPORTS : [this.options.transport];
+		let lastError = null;
+		for (const kind of kinds) {
+			try {
+				this.transport = await this.openTransport(kind);
+				const pong = await this.request('PING', {}, [], this.options.connectTimeout);
+				const info = { kind, scope: pong.scope };
+				this.emit('transport', info);
+				return info;
+			} catch (err) {
+				console.warn('Transport ' + kind + ' unavailable:', err.message);
+				lastError = err;
+				if (this.transport) {
+					this.transport.close();
+					this.transport = null;
+				}
+			}
+		}
+		throw lastError || new Error('Unknown transport: ' + this.options.transport);
+	}
+
+	async openTransport(kind) {
+		const scriptUrl = this.options.serviceWorkerPath;
+		if (kind !== 'main-thread' && typeof OffscreenCanvas === 'undefined') {
+			// faceEnvWorkerPatch.js needs it; without it the worker script dies on import
+			throw new Error('OffscreenCanvas is not supported in this browser.');
+		}
+		switch (kind) {
+			case 'service-worker': {
+				const worker = await this.registerServiceWorker();
+				navigator.serviceWorker.addEventListener('message', this.handleMessage);
+				// Give a freshly installed worker a moment before the first message. If not, when the
+				// service worker is created for the first time, posting a message can be lost.
+				await new Promise(resolve => setTimeout(resolve, this.options.activationDelay));
+				return {
+					kind,
+					postMessage: (message, transfer) => worker.postMessage(message, transfer),
+					close: () => navigator.serviceWorker.removeEventListener('message', this.handleMessage),
+				};
+			}
+			case 'shared-worker': {
+				if (typeof SharedWorker === 'undefined') {
+					throw new Error('SharedWorker is not supported in this browser.');
+				}
+				const shared = new SharedWorker(scriptUrl, { name: 'faceDetection' });
+				shared.addEventListener('error', () => this.failPending('SharedWorker failed to start: ' + scriptUrl));
+				shared.port.addEventListener('message', this.handleMessage);
+				shared.port.start();
+				return {
+					kind,
+					postMessage: (message, transfer) => shared.port.postMessage(message, transfer),
+					close: () => shared.port.close(),
+				};
+			}
+			case 'worker': {
+				if (typeof Worker === 'undefined') {
+					throw new Error('Web workers are not supported in this browser.');
+				}
+				const worker = new Worker(scriptUrl);
+				worker.addEventListener('error', event => this.failPending('Worker error: ' + (event.message || scriptUrl)));
+				worker.addEventListener('message', this.handleMessage);
+				return {
+					kind,
+					postMessage: (message, transfer) => worker.postMessage(message, transfer),
+					close: () => worker.terminate(),
+				};
+			}
+			case 'main-thread': {
+				await this.loadPipelineScript();
+				const connection = createInPageConnection(this.handleMessage);
+				return {
+					kind,
+					postMessage: message => connection.postMessage(message),
+					close: () => connection.close(),
+				};
+			}
+			default:
+				throw new Error('Unknown transport: ' + kind);
+		}
+	}
+
+	// Adds faceDetectionPipeline.js to the page once; face-api.min.js must already be loaded
+	loadPipelineScript() {
+		if (typeof createInPageConnection === 'function') {
+			return Promise.resolve();
+		}
+		if (typeof faceapi === 'undefined') {
+			return Promise.reject(new Error('face-api.min.js must be loaded before main-thread mode can start.'));
+		}
+		return new Promise((resolve, reject) => {
+			const script = document.createElement('script');
+			script.src = this.options.pipelinePath;
+			script.onload = () => resolve();
+			script.onerror = () => reject(new Error('Unable to load ' + this.options.pipelinePath));
+			document.head.appendChild(script);
+		});
+	}
+
+	// Worker script errors never produce a reply, so fail everything in flight
+	failPending(message) {
+		const pending = Array.from(this.pending.values());
+		this.pending.clear();
+		pending.forEach(request => request.reject(new FaceApiError('WORKER_ERROR', message)));
+	}
+
+	async registerServiceWorker() {
+		if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+			throw new Error('Service workers are not available on this page.');
+		}
+
+		const fileName = this.options.serviceWorkerPath.split('/').pop();
+		const registrations = await navigator.serviceWorker.getRegistrations();
+		let registration = registrations.find(reg => reg.active && reg.active.scriptURL.endsWith(fileName));
+
+		if (!registration) {
+			console.log('Registering new service worker');
+			registration = await navigator.serviceWorker.register(this.options.serviceWorkerPath, {
+				scope: this.options.serviceWorkerScope,
+			});
+		}
+
+		// Wait until the service worker is activated. Avoid using navigator.serviceWorker.ready
+		// because the page is not necessarily inside the worker's scope. A failed install
+		// ('redundant') or one that outlasts connectTimeout rejects, so connect() moves on
+		// to the next transport.
+		if (!registration.active) {
+			await new Promise((resolve, reject) => {
+				const installingWorker = registration.installing || registration.waiting;
+				if (!installingWorker || installingWorker.state === 'activated') {
+					return resolve();
+				}
+				if (installingWorker.state === 'redundant') {
+					return reject(new Error('Service worker installation failed (redundant).'));
+				}
+				const timeout = this.options.connectTimeout;
+				const timer = setTimeout(() => {
+					installingWorker.removeEventListener('statechange', onStateChange);
+					reject(new Error('Service worker did not activate within ' + timeout + ' ms.'));
+				}, timeout);
+				const onStateChange = evt => {
+					const state = evt.target.state;
+					if (state !== 'activated' && state !== 'redundant') {
+						return;
+					}
+					clearTimeout(timer);
+					installingWorker.removeEventListener('statechange', onStateChange);
+					if (state === 'activated') {
+						resolve();
+					} else {
+						reject(new Error('Service worker installation failed (redundant).'));
+					}
+				};
+				installingWorker.addEventListener('statechange', onStateChange);
+			});
+		}
+
+		return registration.active || registration.waiting || registration.installing;
+	}
+
+	nextRequestId() {
+		this.requestCounter += 1;
+		return this.sessionId + '-' + this.requestCounter;
+	}
+
+	/**
+	 * Posts a message to the worker and resolves with the reply that echoes
+	 * the same requestId. Rejects with a FaceApiError on an ERROR reply or when
+	 * nothing comes back within `timeout` ms (e.g. the browser stopped the
+	 * Service Worker mid-request).
+	 */
+	request(type, payload = {}, transfer = [], timeout = this.options.requestTimeout) {
+		const requestId = this.nextRequestId();
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.pending.delete(requestId);
+				reject(new FaceApiError('TIMEOUT', type + ' got no reply within ' + timeout + ' ms', { requestId }));
+			}, timeout);
+			const settle = fn => value => {
+				clearTimeout(timer);
+				fn(value);
+			};
+			this.pending.set(requestId, { type, resolve: settle(resolve), reject: settle(reject) });
+			this.transport.postMessage(Object.assign({ type, requestId }, payload), transfer);
+		});
+	}
+
+	handleMessage(event) {
+		const message = event.data || {};
+		const pending = this.pending.get(message.requestId);
+
+		if (message.type === 'ERROR') {
+			if (pending) {
+				const error = message.error || {};
+				this.pending.delete(message.requestId);
+				pending.reject(new FaceApiError(error.code, error.message, error.details));
+			}
+			return;
+		}
+
+		switch (message.type) {
+			case 'MODELS_LOADED':
+				this.emit('models-loaded', message);
+				break;
+			case 'DETECTION_RESULT':
+				if (pending) {
+					this.handleDetectionResult(message);
+				}
+				break;
+			case 'WARMUP_RESULT':
+				if (pending) {
+					this.emit('warmup', message.data);
+				}
+				break;
+			case 'IDENTITIES_CHANGED':
+				this.emit('identities-changed', message.data);
+				break;
+			case 'DETECTOR_OPTIONS_SET':
+			case 'DESCRIPTOR_RESULT':
+			case 'IDENTITY_ENROLLED':
+			case 'IDENTITIES_LISTED':
+			case 'IDENTITY':
+			case 'IDENTITY_DELETED':
+			case 'PONG':
+				break;
+			case 'MODEL_LOAD_PROGRESS':
+				this.emit('model-progress', message.data);
+				// Progress is not the reply – keep waiting for MODELS_LOADED
+				return;
+			default:
+				console.log('Unknown message type:', message.type);
+		}
+
+		// Replies for other clients (other tabs, other instances) carry requestIds
+		// we never issued – they are ignored.
+		if (pending) {
+			this.pending.delete(message.requestId);
+			pending.resolve(Object.assign({ requestId: message.requestId, frameSeq: message.frameSeq }, message.data));
+		}
+	}
+
+	handleDetectionResult(message) {
+		// An older frame finishing after a newer one is stale: its promise still
+		// resolves, but it is neither emitted nor fed to register()/verify().
+		if (message.frameSeq <= this.lastFrameSeq) {
+			message.data = Object.assign({ stale: true }, message.data);
+			return;
+		}
+		this.lastFrameSeq = message.frameSeq;
+
+		const result = Object.assign({ requestId: message.requestId, frameSeq: message.frameSeq }, message.data);
+		this.emit('detection', result);
+		this.handleAction(result);
+	}
+
+	/**
+	 * Asks the worker to load the landmark / recognition nets plus the given
+	 * detector backends ('tinyFaceDetector', 'ssdMobilenetv1', 'mtcnn').
+	 * Defaults to the session's `detectorOptions.detector`, or the worker's
+	 * default detector. Other detectors are still loaded on first use.
+	 *
+	 * `modelUrl` (base directory) and `modelUrls` (per-net directory or
+	 * manifest URL, keyed by net name such as 'faceRecognitionNet') default to
+	 * the client options and are resolved against the page URL.
+	 * `modelIntegrity` maps shard file names to the `{ bytes, sha256 }` they
+	 * must have; shard sizes are always checked against the manifest.
+	 * Download progress is reported through the `model-progress` event.
+	 * @returns {Promise<{detectors: string[]}>} the detectors now loaded
+	 */
+	loadModels({
+		detectors,
+		modelUrl = this.options.modelUrl,
+		modelUrls = this.options.modelUrls,
+		modelIntegrity = this.options.modelIntegrity,
+	} = {}) {
+		const sessionDetector = this.options.detectorOptions.detector;
+		if (!detectors && sessionDetector) {
+			detectors = [sessionDetector];
+		}
+		const resolvedUrls = {};
+		Object.keys(modelUrls || {}).forEach(name => {
+			resolvedUrls[name] = this.resolveUrl(modelUrls[name]);
+		});
+		return this.request('LOAD_MODELS', {
+			detectors,
+			modelUrl: modelUrl ? this.resolveUrl(modelUrl) : undefined,
+			modelUrls: resolvedUrls,
+			modelIntegrity,
+		});
+	}
+
+	// The worker resolves relative URLs against its own script, so send absolute ones
+	resolveUrl(url) {
+		return new URL(url, document.baseURI).href;
+	}
+
+	/**
+	 * Sets the detector options for this client's session in the worker. They
+	 * apply to every later request from this page only; other tabs keep their own.
+	 * @returns {Promise<{face_detector_options: Object}>} the effective options
+	 */
+	async setDetectorOptions(detectorOptions) {
+		this.options.detectorOptions = Object.assign({}, detectorOptions);
+		const reply = await this.request('SET_DETECTOR_OPTIONS', { face_detector_options: this.options.detectorOptions });
+		this.sessionDetectorOptions = reply.face_detector_options;
+		return reply;
+	}
+
+	/**
+	 * Runs one detection on the warm-up image so the first real frame does not
+	 * pay for shader compilation.
+	 */
+	async warmup(imageUrl = this.options.warmupImageUrl) {
+		const img = await this.loadImage(imageUrl);
+		const { payload, transfer } = await this.encodeFrame(img);
+		return this.request('WARMUP_FACES', Object.assign({ crop_options: this.options.cropOptions }, payload), transfer);
+	}
+
+	loadImage(url) {
+		return new Promise((resolve, reject) => {
+			const image = new Image();
+			image.onload = () => resolve(image);
+			image.onerror = () => reject(new FaceApiError('INVALID_FRAME', 'Unable to load image: ' + url, { url }));
+			image.src = url;
+		});
+	}
+
+	/**
+	 * Decodes an uploaded File / Blob into something encodeFrame can draw.
+	 * URLs are loaded as images; anything else is passed through.
+	 */
+	async decodeImage(image) {
+		if (typeof image === 'string') {
+			return this.loadImage(image);
+		}
+		if (!(image instanceof Blob)) {
+			return image;
+		}
+		if (typeof createImageBitmap === 'function') {
+			try {
+				return await createImageBitmap(image);
+			} catch (err) {
+				throw new FaceApiError('INVALID_FRAME', 'Unable to decode image ' + (image.name || ''), { name: image.name });
+			}
+		}
+		const url = URL.createObjectURL(image);
+		try {
+			return await this.loadImage(url);
+		} finally {
+			URL.revokeObjectURL(url);
+		}
+	}
+
+	/**
+	 * Computes descriptors for still images – uploaded photos, ID pictures –
+	 * outside the video loop. Every image is analysed on its own, one request
+	 * per image so each gets the full `requestTimeout`; one without a face, or
+	 * that cannot be decoded or read by the worker, does not fail the others.
+	 * @param {File|Blob|string|HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData|FileList|Array} images
+	 *        one image or a list; strings are image URLs
+	 * @param {Object} [options] – `detectorOptions` / `cropOptions` for this request
+	 * @returns {Promise<{schemaVersion, images: Array<{name, displaySize, faces, error?}>}>}
+	 *          `images[i]` belongs to the i-th input; `faces` follow the detection
+	 *          schema (`score` is the detection quality, `crop` the face image).
+	 *          Images that could not be decoded have `displaySize: null` and an
+	 *          INVALID_FRAME `error`.
+	 */
+	async computeDescriptors(images, { detectorOptions, cropOptions = this.options.cropOptions } = {}) {
+		const list = images && typeof images !== 'string' && typeof images.length === 'number' ? Array.from(images) : [images];
+		const results = [];
+		let schemaVersion = null;
+		for (const image of list) {
+			const name = typeof image === 'string' ? image : image.name;
+			let frame;
+			try {
+				const source = await this.decodeImage(image);
+				try {
+					frame = await this.encodeFrame(source);
+				} finally {
+					if (source !== image && typeof source.close === 'function') {
+						source.close();
+					}
+				}
+			} catch (err) {
+				// Decoding never involves the worker: whatever failed is about this image
+				results.push({ name, displaySize: null, faces: [], error: { code: 'INVALID_FRAME', message: err.message } });
+				continue;
+			}
+			const reply = await this.request('COMPUTE_DESCRIPTOR', {
+				images: [Object.assign({ name }, frame.payload)],
+				face_detector_options: detectorOptions,
+				crop_options: cropOptions,
+			}, frame.transfer);
+			schemaVersion = reply.schemaVersion;
+			results.push(reply.images[0]);
+		}
+		return { schemaVersion, images: results };
+	}
+
+	/**
+	 * Enrolls a labeled photo folder – the FileList of an `<input webkitdirectory>`
+	 * whose picked folder holds one sub-folder per person, so every
+	 * `webkitRelativePath` reads `folder/label/photo.jpg` – one photo per
+	 * request so hundreds of files never sit in memory at once.
+	 *
+	 * A photo is enrolled when it holds exactly one face scoring at least
+	 * `minScore`; every other photo gets a report entry with a `reason`:
+	 *   NO_LABEL       – the file is not exactly one label directory deep (loose in the
+	 *                    picked folder, nested further, or picked without a folder)
+	 *   UNREADABLE     – not an image, or it could not be decoded
+	 *   NO_FACE        – no face detected
+	 *   MULTIPLE_FACES – more than one face (`faceCount`)
+	 *   LOW_SCORE      – the face scored below `minScore` (`score`)
+	 * Faces are counted up to the session's `maxDetectedFaces`, so pages doing
+	 * batch enrollment should raise it above 1.
+	 *
+	 * @returns {Promise<{gallery: Array<{label: string, descriptors: number[][]}>,
+	 *          report: Array<{file, label, ok, reason?, message?, score?, faceCount?}>}>}
+	 *          `gallery` is LabeledFaceDescriptors JSON, sorted by label: turn it back
+	 *          into instances with FaceApiClient.toLabeledDescriptors().
+	 */
+	async buildGallery(files, { minScore = 0.8, detectorOptions, cropOptions } = {}) {
+		const list = Array.from(files);
+		const descriptorsByLabel = new Map();
+		const report = [];
+
+		for (const file of list) {
+			const path = file.webkitRelativePath || file.name;
+			// The first segment is the picked folder itself, not a label
+			const segments = path.split('/');
+			const entry = { file: path, label: segments.length === 3 && segments[1] ? segments[1] : null, ok: false };
+
+			if (!entry.label) {
+				entry.reason = 'NO_LABEL';
+			} else if (file.type && !file.type.startsWith('image/')) {
+				entry.reason = 'UNREADABLE';
+				entry.message = 'Not an image (' + file.type + ')';
+			} else {
+				try {
+					const [image] = (await this.computeDescriptors([file], { detectorOptions, cropOptions })).images;
+					entry.faceCount = image.faces.length;
+					if (image.error) {
+						entry.reason = 'UNREADABLE';
+						entry.message = image.error.message;
+					} else if (image.faces.length === 0) {
+						entry.reason = 'NO_FACE';
+					} else if (image.faces.length > 1) {
+						entry.reason = 'MULTIPLE_FACES';
+					} else if (image.faces[0].score < minScore) {
+						entry.reason = 'LOW_SCORE';
+						entry.score = image.faces[0].score;
+					} else {
+						entry.ok = true;
+						entry.score = image.faces[0].score;
+						if (!descriptorsByLabel.has(entry.label)) {
+							descriptorsByLabel.set(entry.label, []);
+						}
+						descriptorsByLabel.get(entry.label).push(image.faces[0].descriptor);
+					}
+				} catch (err) {
+					if (err.code !== 'INVALID_FRAME') {
+						// Worker failures (models, timeouts) are not about this photo
+						throw err;
+					}
+					entry.reason = 'UNREADABLE';
+					entry.message = err.message;
+				}
+			}
+			report.push(entry);
+			this.emit('gallery-progress', { done: report.length, total: list.length, entry });
+		}
+
+		const gallery = Array.from(descriptorsByLabel.keys()).sort().map(label => ({
+			label,
+			descriptors: descriptorsByLabel.get(label),
+		}));
+		return { gallery, report };
+	}
+
+	/**
+	 * Stores descriptors under `label` in the worker's IndexedDB identity store,
+	 * added to the ones already enrolled unless `replace` is set. Entries may
+	 * be bare descriptors or captures (`captures` of the `registered` event);
+	 * the poseLabel, quality, pose and capturedAt of captures are stored with
+	 * their descriptor and come back from getIdentity().
+	 * @returns {Promise<{identity: {label, descriptorCount, createdAt, updatedAt}}>}
+	 */
+	enroll(label, descriptors, { replace = false } = {}) {
+		const entries = Array.from(descriptors || []);
+		const isCapture = entry => entry && !Array.isArray(entry) && !ArrayBuffer.isView(entry) && entry.descriptor;
+		return this.request('ENROLL', {
+			label,
+			descriptors: entries.map(entry => Array.from(isCapture(entry) ? entry.descriptor : entry)),
+			captures: entries.some(isCapture)
+				? entries.map(entry => isCapture(entry) ? {
+					poseLabel: entry.poseLabel || null,
+					quality: entry.quality || null,
+					pose: entry.pose || null,
+					capturedAt: entry.capturedAt || null,
+				} : null)
+				: undefined,
+			replace,
+		});
+	}
+
+	/**
+	 * @returns {Promise<{identities: Array<{label, descriptorCount, createdAt, updatedAt}>}>}
+	 */
+	listIdentities() {
+		return this.request('LIST_IDENTITIES');
+	}
+
+	/**
+	 * Rejects with IDENTITY_NOT_FOUND when nothing is enrolled as `label`.
+	 * `captures[i]` ({ poseLabel, quality, pose, capturedAt } or null) describes `descriptors[i]`.
+	 * @returns {Promise<{identity: {label, descriptors: number[][], captures: Array<Object|null>, createdAt, updatedAt}}>}
+	 */
+	getIdentity(label) {
+		return this.request('GET_IDENTITY', { label });
+	}
+
+	/**
+	 * @returns {Promise<{label: string, deleted: boolean}>}
+	 */
+	deleteIdentity(label) {
+		return this.request('DELETE_IDENTITY', { label });
+	}
+
+	/**
+	 * Detects faces in a single frame.
+	 * @param {ImageData|HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} frame
+	 * @param {Object} [detectorOptions] – overrides for this request only; the
+	 *        session options (setDetectorOptions) and worker defaults fill the rest.
+	 * @param {Object} [cropOptions] – shape of `face.crop` ({ padding, aspectRatio,
+	 *        fit: 'crop'|'letterbox', outputWidth, align }); defaults to `options.cropOptions`,
+	 *        then the worker's CropOptionsDefault.
+	 * @returns {Promise<{requestId, frameSeq, schemaVersion, faces, displaySize, stale?}>}
+	 */
+	async detect(frame, detectorOptions, cropOptions = this.options.cropOptions) {
+		this.frameSequence += 1;
+		const frameSeq = this.frameSequence;
+		const { payload, transfer } = await this.encodeFrame(frame);
+		return this.request('DETECT_FACES', Object.assign({
+			frameSeq,
+			face_detector_options: detectorOptions,
+			crop_options: cropOptions,
+		}, payload), transfer);
+	}
+
+	/**
+	 * Packs a frame for postMessage according to `options.frameTransport`:
+	 *   'bitmap'    – an ImageBitmap, transferred (no pixel copy on the page)
+	 *   'buffer'    – the RGBA bytes as a transferred ArrayBuffer
+	 *   'imagedata' – a structured-cloned ImageData (the original protocol)
+	 *   'auto'      – bitmap when createImageBitmap exists, else buffer
+	 * ImageData handed in by the caller is never transferred, so it stays usable.
+	 * @returns {Promise<{payload: Object, transfer: Transferable[]}>}
+	 */
+	async encodeFrame(frame) {
+		const mode = this.options.frameTransport;
+		if ((mode === 'auto' || mode === 'bitmap') && typeof createImageBitmap === 'function') {
+			try {
+				const bitmap = await createImageBitmap(frame);
+				return { payload: { bitmap, width: bitmap.width, height: bitmap.height }, transfer: [bitmap] };
+			} catch (err) {
+				if (mode === 'bitmap') {
+					throw err;
+				}
+				console.warn('createImageBitmap failed, falling back to pixel buffers:', err);
+			}
+		}
+
+		const callerOwned = frame instanceof ImageData;
+		const imageData = this.toImageData(frame);
+		const { width, height } = imageData;
+		if (mode !== 'imagedata' && !callerOwned) {
+			const pixels = imageData.data.buffer;
+			return { payload: { pixels, width, height }, transfer: [pixels] };
+		}
+		return { payload: { imageData, width, height }, transfer: [] };
+	}
+
+	toImageData(frame) {
+		if (frame instanceof ImageData) {
+			return frame;
+		}
+		const width = frame.videoWidth || frame.naturalWidth || frame.width;
+		const height = frame.videoHeight || frame.naturalHeight || frame.height;
+		if (!this.frameCanvas) {
+			this.frameCanvas = document.createElement('canvas');
+		}
+		const canvas = this.frameCanvas;
+		if (canvas.width !== width || canvas.height !== height) {
+			canvas.width = width;
+			canvas.height = height;
+		}
+		const context = canvas.getContext('2d', { willReadFrequently: true });
+		context.drawImage(frame, 0, 0, width, height);
+		return context.getImageData(0, 0, width, height);
+	}
+
+	/**
+	 * Attaches a camera stream to `video`. Concurrent calls for the same element
+	 * share one getUserMedia request.
+	 */
+	startCamera(video, constraints = { video: true }) {
+		if (video.srcObject) {
+			return Promise.resolve(video);
+		}
+		if (!this.cameraRequests.has(video)) {
+			const request = navigator.mediaDevices.getUserMedia(constraints)
+				.then(stream => {
+					video.srcObject = stream;
+					return video;
+				})
+				.finally(() => this.cameraRequests.delete(video));
+			this.cameraRequests.set(video, request);
+		}
+		return this.cameraRequests.get(video);
+	}
+
+	stopCamera(video = this.video) {
+		if (video && video.srcObject) {
+			video.srcObject.getTracks().forEach(track => track.stop());
+			video.srcObject = null;
+		}
+	}
+
+	/**
+	 * Starts the camera on `video` (unless it already has a stream) and runs
+	 * detection on every frame, one request in flight at a time. Results are
+	 * delivered through the `detection` event. `options.detectorOptions` and
+	 * `options.cropOptions` apply to every frame of the loop.
+	 */
+	async startVideo(video, options = {}) {
+		await this.ready();
+		if (!video.srcObject && options.camera !== false) {
+			await this.startCamera(video);
+		}
+		this.videoDetectorOptions = options.detectorOptions;
+		this.videoCropOptions = options.cropOptions || this.options.cropOptions;
+		if (this.videoRunning && this.video === video) {
+			return;
+		}
+		this.video = video;
+		this.videoRunning = true;
+
+		const step = async () => {
+			if (!this.videoRunning || this.video !== video) {
+				return;
+			}
+			// Frames are only available once the video is playing
+			if (!video.paused && !video.ended && video.readyState >= 2 && video.videoWidth > 0) {
+				try {
+					await this.detect(video, this.videoDetectorOptions, this.videoCropOptions);
+				} catch (err) {
+					this.emit('error', err);
+					await this.recover(err);
+				}
+			}
+			requestAnimationFrame(step);
+		};
+		requestAnimationFrame(step);
+	}
+
+	/**
+	 * A Service Worker that was stopped by the browser comes back without its
+	 * models or session options. Reload them so the video loop can continue;
+	 * other errors only skip the failed frame.
+	 */
+	async recover(err) {
+		if (err.code !== 'MODELS_NOT_LOADED' && err.code !== 'TIMEOUT') {
+			return;
+		}
+		try {
+			await this.loadModels();
+			await this.setDetectorOptions(this.options.detectorOptions);
+		} catch (reloadError) {
+			this.emit('error', reloadError);
+			// Back off before the loop tries again
+			await new Promise(resolve => setTimeout(resolve, this.options.retryDelay));
+		}
+	}
+
+	stopVideo({ stopCamera = true } = {}) {
+		this.videoRunning = false;
+		if (stopCamera) {
+			this.stopCamera();
+		}
+	}
+
+	/**
+	 * Collects `maxCaptures` descriptors from the running video loop. When a
+	 * frame holds several faces, `faceSelector` picks the one to enrol:
+	 * 'largest' (box area), 'best' (detection score) or a function
+	 * `(faces) => index`. Faces failing `qualityThresholds` (see
+	 * FaceApiClient.captureProblems) are not captured; a capture-rejected
+	 * event says why. `captureDiversity` spreads the captures out (see
+	 * FaceApiClient.diversityProblems), so the template does not hold the
+	 * same instant several times.
+	 * @returns {Promise<number[][]>}
+	 */
+	register({
+		maxCaptures = this.options.maxCaptures,
+		stopVideo = true,
+		faceSelector = this.options.faceSelector,
+		qualityThresholds = this.options.qualityThresholds,
+		captureDiversity = this.options.captureDiversity,
+	} = {}) {
+		return this.startAction({
+			type: 'register', maxCaptures, stopVideo, faceSelector, qualityThresholds, captureDiversity,
+			descriptors: [], captures: [], lastCaptureAt: 0,
+		});
+	}
+
+	/**
+	 * Guided registration: walks through `steps` (default
+	 * FaceApiClient.POSE_STEPS – straight, left, right, chin up) and takes one
+	 * capture per step once the head pose has stayed inside the step's yaw /
+	 * pitch ranges for `holdTime` ms. The first step's pose is the baseline the
+	 * later ranges are measured from, so faces that are not symmetric still
+	 * register. Feedback is emitted as pose-progress; captures carry the step's
+	 * `poseLabel`. `qualityThresholds` apply as in register(), except
+	 * minFrontalness, which only the first step checks.
+	 * @returns {Promise<number[][]>}
+	 */
+	registerPoses({
+		steps = FaceApiClient.POSE_STEPS,
+		holdTime = this.options.poseHoldTime,
+		stopVideo = true,
+		faceSelector = this.options.faceSelector,
+		qualityThresholds = this.options.qualityThresholds,
+	} = {}) {
+		return this.startAction({
+			type: 'poses', steps, holdTime, stopVideo, faceSelector, qualityThresholds,
+			stepIndex: 0, heldSince: null, baseline: null, descriptors: [], captures: [],
+		});
+	}
+
+	/**
+	 * Builds a versioned descriptor file (see FaceApiClient.DESCRIPTOR_FILE_VERSION)
+	 * recording how the descriptors were produced.
+	 * @param {Array<{descriptor, quality?, capturedAt?}|number[]>} captures –
+	 *        `captures` of the `registered` event, or bare descriptors
+	 * @param {{label?: string}} [options]
+	 */
+	createDescriptorFile(captures, { label = null } = {}) {
+		const entries = Array.from(captures, capture => Array.isArray(capture) || ArrayBuffer.isView(capture)
+			? { descriptor: capture }
+			: capture);
+		const detectorOptions = this.sessionDetectorOptions || this.options.detectorOptions;
+		return {
+			format: FaceApiClient.DESCRIPTOR_FILE_FORMAT,
+			schemaVersion: FaceApiClient.DESCRIPTOR_FILE_VERSION,
+			label,
+			createdAt: new Date().toISOString(),
+			model: {
+				recognitionNet: faceapi.nets.faceRecognitionNet.getDefaultModelName(),
+				landmarkNet: faceapi.nets.faceLandmark68Net.getDefaultModelName(),
+				detector: detectorOptions.detector || 'tinyFaceDetector',
+				alignedDescriptors: detectorOptions.alignDescriptors === true,
+			},
+			detectorOptions: Object.assign({}, detectorOptions),
+			captureCount: entries.length,
+			captures: entries.map(entry => ({
+				descriptor: Array.from(entry.descriptor),
+				quality: entry.quality || null,
+				pose: entry.pose || null,
+				poseLabel: entry.poseLabel || null,
+				capturedAt: entry.capturedAt || null,
+			})),
+		};
+	}
+
+	/**
+	 * Resolves once a face in a video frame matches one of `descriptors` with a
+	 * Euclidean distance below `threshold`. Every face in the frame is tried;
+	 * the closest match wins.
+	 * @returns {Promise<{descriptor: number[], distance: number, faceIndex: number, registeredIndex: number}>}
+	 */
+	verify(descriptors, { threshold = this.options.distanceThreshold, stopVideo = true } = {}) {
+		return this.startAction({ type: 'verify', descriptors: Array.from(descriptors || []), threshold, stopVideo });
+	}
+
+	/**
+	 * 1:N identification on the running video loop: every processed frame is
+	 * matched against a labeled gallery with faceapi.FaceMatcher and reported
+	 * through the `identified` event – best label, its distance and the
+	 * runner-up per face. Unlike verify() it never finishes by itself; it runs
+	 * until cancelAction() or another register/verify/identify session, and
+	 * the returned promise then rejects with an AbortError.
+	 * @param {Array|faceapi.FaceMatcher} gallery – `[{ label, descriptors }]`
+	 *        (see buildGallery), LabeledFaceDescriptors, or a FaceMatcher
+	 * @param {{threshold?: number}} [options] – distances at or above it are 'unknown'
+	 */
+	identify(gallery, { threshold = this.options.distanceThreshold } = {}) {
+		const matcher = gallery instanceof faceapi.FaceMatcher
+			? gallery
+			: new faceapi.FaceMatcher(FaceApiClient.toLabeledDescriptors(gallery), threshold);
+		return this.startAction({ type: 'identify', matcher, stopVideo: false });
+	}
+
+	/**
+	 * Ranks every gallery label by its mean distance to `descriptor`.
+	 * @returns {{label: string, distance: number, runnerUp: {label, distance}|null}}
+	 */
+	identifyDescriptor(matcher, descriptor) {
+		const ranked = matcher.labeledDescriptors
+			.map(({ label, descriptors }) => ({ label, distance: matcher.computeMeanDistance(descriptor, descriptors) }))
+			.sort((a, b) => a.distance - b.distance);
+		const best = ranked[0];
+		return {
+			label: best.distance < matcher.distanceThreshold ? best.label : 'unknown',
+			distance: best.distance,
+			runnerUp: ranked[1] || null,
+		};
+	}
+
+	startAction(action) {
+		// Only one register/verify session at a time – a new one supersedes the old.
+		this.cancelAction();
+		return new Promise((resolve, reject) => {
+			this.action = Object.assign(action, { resolve, reject });
+		});
+	}
+
+	cancelAction(reason = 'superseded') {
+		if (this.action) {
+			const error = new Error('FaceApiClient ' + this.action.type + ' ' + reason);
+			error.name = 'AbortError';
+			this.action.reject(error);
+			this.action = null;
+		}
+	}
+
+	finishAction(value) {
+		const action = this.action;
+		this.action = null;
+		if (action.stopVideo) {
+			this.stopVideo();
+		}
+		action.resolve(value);
+	}
+
+	/**
+	 * Index of the face `selector` picks out of a frame's faces.
+	 */
+	selectFace(faces, selector = 'largest') {
+		if (typeof selector === 'function') {
+			return selector(faces);
+		}
+		let selected = 0;
+		faces.forEach((face, index) => {
+			if (selector === 'best') {
+				if (face.score > faces[selected].score) {
+					selected = index;
+				}
+			} else {
+				const box = face.box;
+				const selectedBox = faces[selected].box;
+				if (box.width * box.height > selectedBox.width * selectedBox.height) {
+					selected = index;
+				}
+			}
+		});
+		return selected;
+	}
+
+	handleAction(result) {
+		const action = this.action;
+		const faces = result.faces;
+		if (!action || !faces) {
+			return;
+		}
+
+		if (action.type === 'register') {
+			const faceIndex = this.selectFace(faces, action.faceSelector);
+			const descriptor = faces[faceIndex] && faces[faceIndex].descriptor;
+			if (!descriptor) {
+				return;
+			}
+			// Frames inside the interval are skipped silently: nothing for the user to fix
+			const now = Date.now();
+			const diversity = action.captureDiversity || {};
+			if (diversity.minInterval && now - action.lastCaptureAt < diversity.minInterval) {
+				return;
+			}
+			const pose = faces[faceIndex].pose || null;
+			const quality = FaceApiClient.captureQuality(faces[faceIndex], result.displaySize);
+			const reasons = FaceApiClient.captureProblems(quality, action.qualityThresholds)
+				.concat(FaceApiClient.diversityProblems(action.captures, descriptor, pose, diversity));
+			if (reasons.length > 0) {
+				this.emit('capture-rejected', { faceIndex, quality, reasons });
+				return;
+			}
+			action.lastCaptureAt = now;
+			action.descriptors.push(descriptor);
+			action.captures.push({ descriptor, quality, pose, capturedAt: new Date(now).toISOString() });
+			this.emit('capture', { descriptor, faceIndex, count: action.descriptors.length, maxCaptures: action.maxCaptures, quality });
+			if (action.descriptors.length >= action.maxCaptures) {
+				this.emit('registered', { descriptors: action.descriptors, captures: action.captures });
+				this.finishAction(action.descriptors);
+			}
+		} else if (action.type === 'verify') {
+			let match = null;
+			faces.forEach((face, faceIndex) => {
+				const descriptor = face.descriptor;
+				if (!descriptor) {
+					return;
+				}
+				action.descriptors.forEach((registered, registeredIndex) => {
+					if (registered.length !== descriptor.length) {
+						return;
+					}
+					const distance = faceapi.euclideanDistance(descriptor, registered);
+					if (distance < action.threshold && (!match || distance < match.distance)) {
+						match = { descriptor, distance, faceIndex, registeredIndex };
+					}
+				});
+			});
+			if (match) {
+				this.emit('verified', match);
+				this.finishAction(match);
+			}
+		} else if (action.type === 'poses') {
+			this.handlePoseStep(action, result);
+		} else if (action.type === 'identify') {
+			// Frames without faces are reported too, so pages can clear their labels
+			const matches = [];
+			faces.forEach((face, faceIndex) => {
+				if (face.descriptor) {
+					matches.push(Object.assign({ faceIndex, box: face.alignedBox },
+						this.identifyDescriptor(action.matcher, face.descriptor)));
+				}
+			});
+			this.emit('identified', { frameSeq: result.frameSeq, matches });
+		}
+	}
+
+	handlePoseStep(action, result) {
+		const step = action.steps[action.stepIndex];
+		const progress = {
+			stepIndex: action.stepIndex,
+			stepCount: action.steps.length,
+			label: step.label,
+			prompt: step.prompt,
+			pose: null,
+			inPose: false,
+			held: 0,
+			hint: 'No face detected',
+		};
+		const faceIndex = result.faces.length > 0 ? this.selectFace(result.faces, action.faceSelector) : -1;
+		const face = result.faces[faceIndex];
+		if (!face || !face.pose || !face.descriptor) {
+			action.heldSince = null;
+			this.emit('pose-progress', progress);
+			return;
+		}
+
+		const baseline = action.baseline || { yaw: 0, pitch: 0 };
+		const pose = { yaw: face.pose.yaw - baseline.yaw, pitch: face.pose.pitch - baseline.pitch };
+		const hints = FaceApiClient.poseHints(pose, step);
+		const quality = FaceApiClient.captureQuality(face, result.displaySize);
+		const thresholds = action.stepIndex === 0 ? action.qualityThresholds
+			: Object.assign({}, action.qualityThresholds, { minFrontalness: null });
+		const problems = FaceApiClient.captureProblems(quality, thresholds);
+		const now = Date.now();
+		progress.pose = pose;
+		progress.inPose = hints.length === 0;
+		if (!progress.inPose) {
+			action.heldSince = null;
+		} else if (action.heldSince === null) {
+			action.heldSince = now;
+		}
+		progress.held = progress.inPose ? Math.min(1, (now - action.heldSince) / action.holdTime) : 0;
+		progress.hint = hints.concat(problems.map(problem => problem.message))[0] || null;
+		this.emit('pose-progress', progress);
+		if (progress.held < 1 || problems.length > 0) {
+			return;
+		}
+
+		const descriptor = face.descriptor;
+		if (action.stepIndex === 0) {
+			action.baseline = face.pose;
+		}
+		action.descriptors.push(descriptor);
+		action.captures.push({ poseLabel: step.label, descriptor, quality, pose: face.pose, capturedAt: new Date(now).toISOString() });
+		this.emit('capture', { descriptor, faceIndex, count: action.descriptors.length, maxCaptures: action.steps.length, quality, poseLabel: step.label });
+		action.stepIndex++;
+		action.heldSince = null;
+		if (action.stepIndex >= action.steps.length) {
+			this.emit('registered', { descriptors: action.descriptors, captures: action.captures });
+			this.finishAction(action.descriptors);
+		}
+	}
+}
+
+/**
+ * Most probable expression of a face detected with `withExpressions: true`.
+ * @param {Object<string, number>} expressions – e.g. `{ neutral: 0.9, happy: 0.05, … }`
+ * @returns {{expression: string, probability: number}|null}
+ */
+FaceApiClient.dominantExpression = function (expressions) {
+	if (!expressions) {
+		return null;
+	}
+	let dominant = null;
+	Object.keys(expressions).forEach(expression => {
+		const probability = expressions[expression];
+		if (typeof probability === 'number' && (!dominant || probability > dominant.probability)) {
+			dominant = { expression, probability };
+		}
+	});
+	return dominant;
+};
+
+// Transports tried, in order, when `options.transport` is 'auto'
+FaceApiClient.TRANSPORTS = ['service-worker', 'shared-worker', 'worker', 'main-thread'];
+
+/**
+ * Turns a JSON gallery – `[{ label, descriptors: number[][] }]` as written by
+ * buildGallery(), or `{ labeledDescriptors: [...] }` – into
+ * faceapi.LabeledFaceDescriptors, ready for faceapi.FaceMatcher.
+ * @returns {faceapi.LabeledFaceDescriptors[]}
+ */
+FaceApiClient.toLabeledDescriptors = function (gallery) {
+	const entries = Array.isArray(gallery) ? gallery : gallery && gallery.labeledDescriptors;
+	if (!Array.isArray(entries) || entries.length === 0) {
+		throw new FaceApiError('INVALID_GALLERY', 'A gallery needs at least one { label, descriptors } entry');
+	}
+	return entries.map((entry, index) => {
+		if (entry instanceof faceapi.LabeledFaceDescriptors) {
+			return entry;
+		}
+		if (!entry || typeof entry.label !== 'string' || !Array.isArray(entry.descriptors) || entry.descriptors.length === 0) {
+			throw new FaceApiError('INVALID_GALLERY', 'Gallery entry ' + index + ' needs a label and at least one descriptor', { index });
+		}
+		return new faceapi.LabeledFaceDescriptors(entry.label,
+			entry.descriptors.map(descriptor => new Float32Array(Object.values(descriptor))));
+	});
+};
+
+/**
+ * Quality of an enrolled face as recorded in descriptor files: detection
+ * score plus the worker's image measures (see measureFaceQuality in
+ * faceDetectionPipeline.js). Measures the worker did not send are null.
+ * @returns {{score: number, faceRatio: number, sharpness: number, brightness: number, frontalness: number}}
+ */
+FaceApiClient.captureQuality = function (face, displaySize) {
+	const measured = face.quality || {};
+	const faceRatio = measured.faceRatio != null ? measured.faceRatio
+		: displaySize && displaySize.width ? face.box.width / displaySize.width : null;
+	return {
+		score: face.score,
+		faceRatio,
+		sharpness: measured.sharpness != null ? measured.sharpness : null,
+		brightness: measured.brightness != null ? measured.brightness : null,
+		frontalness: measured.frontalness != null ? measured.frontalness : null,
+	};
+};
+
+// [check, quality field, threshold key, 'min' | 'max', message shown to the user]
+FaceApiClient.QUALITY_CHECKS = [
+	['score', 'score', 'minScore', 'min', 'Face not clearly detected'],
+	['faceRatio', 'faceRatio', 'minFaceRatio', 'min', 'Face too small, move closer to the camera'],
+	['sharpness', 'sharpness', 'minSharpness', 'min', 'Image is blurry, hold still'],
+	['tooDark', 'brightness', 'minBrightness', 'min', 'Face is too dark, add light'],
+	['tooBright', 'brightness', 'maxBrightness', 'max', 'Face is overexposed, reduce the light'],
+	['frontalness', 'frontalness', 'minFrontalness', 'min', 'Look straight at the camera'],
+];
+
+/**
+ * Checks a captureQuality() result against thresholds ({ minScore,
+ * minFaceRatio, minSharpness, minBrightness, maxBrightness, minFrontalness }).
+ * Thresholds left out and measures that are null are not checked.
+ * @returns {Array<{check: string, value: number, limit: number, message: string}>} empty when the capture passes
+ */
+FaceApiClient.captureProblems = function (quality, thresholds) {
+	const problems = [];
+	if (!thresholds) {
+		return problems;
+	}
+	for (const [check, field, key, bound, message] of FaceApiClient.QUALITY_CHECKS) {
+		const value = quality[field];
+		const limit = thresholds[key];
+		if (typeof limit !== 'number' || typeof value !== 'number') {
+			continue;
+		}
+		if (bound === 'min' ? value < limit : value > limit) {
+			problems.push({ check, value, limit, message });
+		}
+	}
+	return problems;
+};
+
+/**
+ * Steps of registerPoses(). `yaw` / `pitch` are [min, max] ranges of the
+ * worker's headPose() estimate – yaw positive when the person turns to their
+ * left, pitch positive with the chin up – absolute for the first step and
+ * relative to the first step's pose afterwards.
+ */
+FaceApiClient.POSE_STEPS = [
+	{ label: 'straight', prompt: 'Look straight at the camera', yaw: [-0.06, 0.06], pitch: [-0.2, 0.2] },
+	{ label: 'left', prompt: 'Turn your head slightly to the left', yaw: [0.12, 0.35], pitch: [-0.15, 0.15] },
+	{ label: 'right', prompt: 'Turn your head slightly to the right', yaw: [-0.35, -0.12], pitch: [-0.15, 0.15] },
+	{ label: 'chin-up', prompt: 'Lift your chin slightly', yaw: [-0.08, 0.08], pitch: [0.12, 0.4] },
+];
+
+/**
+ * What the user has to change to bring `pose` inside a POSE_STEPS entry.
+ * @returns {string[]} empty when the pose is inside both ranges
+ */
+FaceApiClient.poseHints = function (pose, step) {
+	const hints = [];
+	if (pose.yaw < step.yaw[0]) {
+		hints.push('Turn a little further to your left');
+	} else if (pose.yaw > step.yaw[1]) {
+		hints.push('Turn a little further to your right');
+	}
+	if (pose.pitch < step.pitch[0]) {
+		hints.push('Lift your chin a little');
+	} else if (pose.pitch > step.pitch[1]) {
+		hints.push('Lower your chin a little');
+	}
+	return hints;
+};
+
+/**
+ * Checks a candidate capture against the ones already taken. Options
+ * ({ minDescriptorDistance, minPoseChange }) left out are not checked:
+ *   minDescriptorDistance – Euclidean distance to every earlier descriptor
+ *   minPoseChange         – largest yaw / pitch difference to every earlier
+ *                           pose (see headPose in faceDetectionPipeline.js)
+ * @returns {Array<{check: string, value: number, limit: number, message: string}>} empty when the capture adds variety
+ */
+FaceApiClient.diversityProblems = function (captures, descriptor, pose, { minDescriptorDistance, minPoseChange } = {}) {
+	const problems = [];
+	if (captures.length === 0) {
+		return problems;
+	}
+	if (typeof minDescriptorDistance === 'number') {
+		const nearest = Math.min(...captures.map(capture => faceapi.euclideanDistance(capture.descriptor, descriptor)));
+		if (nearest < minDescriptorDistance) {
+			problems.push({ check: 'duplicate', value: nearest, limit: minDescriptorDistance, message: 'Too similar to an earlier capture' });
+		}
+	}
+	const posed = captures.filter(capture => capture.pose);
+	if (typeof minPoseChange === 'number' && pose && posed.length > 0) {
+		const nearest = Math.min(...posed.map(capture =>
+			Math.max(Math.abs(capture.pose.yaw - pose.yaw), Math.abs(capture.pose.pitch - pose.pitch))));
+		if (nearest < minPoseChange) {
+			problems.push({ check: 'pose', value: nearest, limit: minPoseChange, message: 'Move your head slightly for the next capture' });
+		}
+	}
+	return problems;
+};
+
+/**
+ * Descriptor files. Version 1 is an envelope around the captures:
+ *
+ *   {
+ *     format: 'faceapi-descriptors', schemaVersion: 1,
+ *     label, createdAt,                              // ISO timestamp
+ *     model: { recognitionNet, landmarkNet, detector, alignedDescriptors },
+ *     detectorOptions: { … },                        // effective session options
+ *     captureCount,
+ *     captures: [{ descriptor: number[], quality: { score, faceRatio, sharpness, brightness,
+ *                  frontalness } | null, pose: { yaw, pitch } | null,
+ *                  poseLabel: 'straight' | 'left' | … | null, capturedAt }]   // poseLabel: registerPoses()
+ *   }
+ *
+ * Files written before the envelope (schema 0) are a bare array – or an
+ * object keyed "0", "1", … – of descriptors, and are still read.
+ */
+FaceApiClient.DESCRIPTOR_FILE_FORMAT = 'faceapi-descriptors';
+FaceApiClient.DESCRIPTOR_FILE_VERSION = 1;
+
+/**
+ * Reads a parsed descriptor file of any supported version.
+ * @returns {{schemaVersion: number, label: string|null, descriptors: Float32Array[],
+ *           captures: Array, model: Object|null, detectorOptions: Object|null, createdAt: string|null}}
+ */
+FaceApiClient.parseDescriptorFile = function (data) {
+	const toDescriptor = (value, index) => {
+		const values = value && typeof value === 'object' ? Object.values(value) : null;
+		if (!values || values.length === 0 || values.some(v => typeof v !== 'number' || !isFinite(v))) {
+			throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'Descriptor ' + index + ' is not a list of numbers', { index });
+		}
+		return new Float32Array(values);
+	};
+	const checkLengths = descriptors => {
+		if (descriptors.length === 0) {
+			throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'The file holds no descriptors');
+		}
+		if (descriptors.some(descriptor => descriptor.length !== descriptors[0].length)) {
+			throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'Descriptors of different lengths cannot come from one model');
+		}
+		return descriptors;
+	};
+
+	if (!data || typeof data !== 'object') {
+		throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'Not a descriptor file');
+	}
+	if (FaceApiClient.isEncryptedContainer(data)) {
+		throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'The file is encrypted – decrypt it with FaceApiClient.decryptJson() first');
+	}
+	if (data.format === undefined) {
+		// Legacy: the descriptors themselves
+		const descriptors = checkLengths(Object.values(data).map(toDescriptor));
+		return {
+			schemaVersion: 0,
+			label: null,
+			descriptors,
+			captures: descriptors.map(descriptor => ({ descriptor, quality: null, pose: null, poseLabel: null, capturedAt: null })),
+			model: null,
+			detectorOptions: null,
+			createdAt: null,
+		};
+	}
+	if (data.format !== FaceApiClient.DESCRIPTOR_FILE_FORMAT) {
+		throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'Unknown file format: ' + data.format);
+	}
+	if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+		throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'Missing or invalid schemaVersion: ' + data.schemaVersion);
+	}
+	if (data.schemaVersion > FaceApiClient.DESCRIPTOR_FILE_VERSION) {
+		throw new FaceApiError('UNSUPPORTED_DESCRIPTOR_FILE',
+			'Descriptor file schema ' + data.schemaVersion + ' is newer than this page supports (up to ' +
+			FaceApiClient.DESCRIPTOR_FILE_VERSION + ')', { schemaVersion: data.schemaVersion });
+	}
+	if (!Array.isArray(data.captures)) {
+		throw new FaceApiError('INVALID_DESCRIPTOR_FILE', 'Descriptor file has no captures list');
+	}
+	const descriptors = checkLengths(data.captures.map((capture, index) => toDescriptor(capture && capture.descriptor, index)));
+	return {
+		schemaVersion: data.schemaVersion,
+		label: data.label || null,
+		descriptors,
+		captures: data.captures.map((capture, index) => Object.assign({}, capture, { descriptor: descriptors[index] })),
+		model: data.model || null,
+		detectorOptions: data.detectorOptions || null,
+		createdAt: data.createdAt || null,
+	};
+};
+
+/**
+ * Encrypted descriptor files. Biometric templates leave the browser only as
+ * this JSON container when a passphrase is given:
+ *
+ *   {
+ *     format: 'faceapi-encrypted', version: 1,
+ *     kdf:    { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },  // salt: base64, 16 bytes
+ *     cipher: { name: 'AES-GCM', iv, tagLength: 128 },              // iv: base64, 12 bytes
+ *     contentType: 'application/json',
+ *     ciphertext                                                    // base64
+ *   }
+ *
+ * Everything but `ciphertext` is the header. It is bound to the ciphertext as
+ * AES-GCM additional data, so editing it (e.g. lowering `iterations`) makes
+ * decryption fail just like a wrong passphrase.
+ */
+FaceApiClient.ENCRYPTED_FORMAT = 'faceapi-encrypted';
+FaceApiClient.ENCRYPTED_VERSION = 1;
+FaceApiClient.PBKDF2_ITERATIONS = 310000;
+// What decryptJson() accepts from a container header; anything else is UNSUPPORTED_CONTAINER
+// instead of a WebCrypto error (or a key derivation that never ends)
+FaceApiClient.PBKDF2_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+FaceApiClient.PBKDF2_MAX_ITERATIONS = 10000000;
+
+FaceApiClient.isEncryptedContainer = function (data) {
+	return !!data && typeof data === 'object' && data.format === FaceApiClient.ENCRYPTED_FORMAT;
+};
+
+// Serialises the header fields in a fixed order – the AES-GCM additional data
+function encryptedHeaderBytes(container) {
+	return new TextEncoder().encode(JSON.stringify({
+		format: container.format,
+		version: container.version,
+		kdf: { name: container.kdf.name, hash: container.kdf.hash, iterations: container.kdf.iterations, salt: container.kdf.salt },
+		cipher: { name: container.cipher.name, iv: container.cipher.iv, tagLength: container.cipher.tagLength },
+		contentType: container.contentType,
+	}));
+}
+
+function bytesToBase64(bytes) {
+	let binary = '';
+	new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+	return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+	return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveContainerKey(passphrase, kdf, usage) {
+	if (typeof crypto === 'undefined' || !crypto.subtle) {
+		throw new FaceApiError('CRYPTO_UNAVAILABLE', 'WebCrypto is only available on secure (https or localhost) pages');
+	}
+	if (typeof passphrase !== 'string' || passphrase.length === 0) {
+		throw new FaceApiError('DECRYPT_FAILED', 'A passphrase is required');
+	}
+	const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+	return crypto.subtle.deriveKey(
+		{ name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+		material,
+		{ name: 'AES-GCM', length: 256 },
+		false,
+		[usage]
+	);
+}
+
+/**
+ * Encrypts any JSON-serialisable value with a passphrase.
+ * @returns {Promise<Object>} the container described above
+ */
+FaceApiClient.encryptJson = async function (data, passphrase) {
+	const container = {
+		format: FaceApiClient.ENCRYPTED_FORMAT,
+		version: FaceApiClient.ENCRYPTED_VERSION,
+		kdf: {
+			name: 'PBKDF2',
+			hash: 'SHA-256',
+			iterations: FaceApiClient.PBKDF2_ITERATIONS,
+			salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+		},
+		cipher: { name: 'AES-GCM', iv: bytesToBase64(crypto.getRandomValues(new Uint8Array(12))), tagLength: 128 },
+		contentType: 'application/json',
+	};
+	const key = await deriveContainerKey(passphrase, container.kdf, 'encrypt');
+	const ciphertext = await crypto.subtle.encrypt(
+		{ name: 'AES-GCM', iv: base64ToBytes(container.cipher.iv), additionalData: encryptedHeaderBytes(container), tagLength: 128 },
+		key,
+		new TextEncoder().encode(JSON.stringify(data))
+	);
+	container.ciphertext = bytesToBase64(ciphertext);
+	return container;
+};
+
+/**
+ * Decrypts a container made by encryptJson() and returns the parsed value.
+ */
+FaceApiClient.decryptJson = async function (container, passphrase) {
+	if (!FaceApiClient.isEncryptedContainer(container)) {
+		throw new FaceApiError('UNSUPPORTED_CONTAINER', 'Not an encrypted descriptor file');
+	}
+	const { version, kdf, cipher } = container;
+	if (version !== FaceApiClient.ENCRYPTED_VERSION || !kdf || kdf.name !== 'PBKDF2' ||
+		!cipher || cipher.name !== 'AES-GCM' || typeof container.ciphertext !== 'string') {
+		throw new FaceApiError('UNSUPPORTED_CONTAINER', 'Unsupported encrypted file (version ' + version + ')', { version });
+	}
+	if (!FaceApiClient.PBKDF2_HASHES.includes(kdf.hash)) {
+		throw new FaceApiError('UNSUPPORTED_CONTAINER', 'Unsupported key derivation hash: ' + kdf.hash, { hash: kdf.hash });
+	}
+	if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > FaceApiClient.PBKDF2_MAX_ITERATIONS) {
+		throw new FaceApiError('UNSUPPORTED_CONTAINER', 'Unsupported key derivation iteration count: ' + kdf.iterations,
+			{ iterations: kdf.iterations });
+	}
+	if (typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' || ![96, 104, 112, 120, 128].includes(cipher.tagLength)) {
+		throw new FaceApiError('UNSUPPORTED_CONTAINER', 'Malformed encrypted file header');
+	}
+	const key = await deriveContainerKey(passphrase, kdf, 'decrypt');
+	let plaintext;
+	try {
+		plaintext = await crypto.subtle.decrypt(
+			{ name: 'AES-GCM', iv: base64ToBytes(cipher.iv), additionalData: encryptedHeaderBytes(container), tagLength: cipher.tagLength },
+			key,
+			base64ToBytes(container.ciphertext)
+		);
+	} catch (err) {
+		throw new FaceApiError('DECRYPT_FAILED', 'Wrong passphrase, or the file was modified');
+	}
+	return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+FaceApiClient.defaults = {
+	// 'auto', or one of FaceApiClient.TRANSPORTS
+	transport: 'auto',
+	// Worker script for every transport; the scope only applies to service workers
+	serviceWorkerPath: './js/faceDetectionServiceWorker.js',
+	serviceWorkerScope: './js/',
+	// Loaded into the page for the 'main-thread' transport
+	pipelinePath: './js/faceDetectionPipeline.js',
+	connectTimeout: 10000,
+	warmupImageUrl: './models/face_for_loading.png',
+	// Model location; null keeps the worker's default (models/ next to js/)
+	modelUrl: null,
+	modelUrls: {},
+	modelIntegrity: {},
+	activationDelay: 500,
+	requestTimeout: 60000,
+	retryDelay: 2000,
+	frameTransport: 'auto',
+	maxCaptures: 3,
+	distanceThreshold: 0.3,
+	faceSelector: 'largest',
+	// register() skips faces below these; see FaceApiClient.captureProblems.
+	// Sharpness is the Laplacian variance of a 64px grey sample of the face.
+	qualityThresholds: {
+		minScore: 0.7,
+		minFaceRatio: 0.15,
+		minSharpness: 30,
+		minBrightness: 0.2,
+		maxBrightness: 0.85,
+		minFrontalness: 0.6,
+	},
+	// register() spacing between captures: milliseconds, descriptor distance
+	// and yaw / pitch change; see FaceApiClient.diversityProblems.
+	captureDiversity: {
+		minInterval: 700,
+		minDescriptorDistance: 0.12,
+		minPoseChange: 0.08,
+	},
+	// registerPoses(): milliseconds a step's pose must be held before it is captured
+	poseHoldTime: 1000,
+	// Session options sent with SET_DETECTOR_OPTIONS; anything left out falls
+	// back to the worker's defaults (tinyFaceDetector, inputSize 128,
+	// scoreThreshold 0.1, 1 face).
+	detectorOptions: {},
+	// Sent as crop_options with every frame; see CropOptionsDefault in
+	// faceDetectionPipeline.js (padding 0.25, square, native resolution).
+	cropOptions: {},
+};
@@ -0,0 +1,1479 @@
+// faceDetectionPipeline.js
+//
+// Model loading, detection and the message protocol of the face detection
+// worker. faceDetectionServiceWorker.js imports it into a service worker,
+// SharedWorker or dedicated Worker; pages without usable workers load it with a
+// <script> tag after face-api.min.js and talk to it through
+// createInPageConnection(). The protocol is identical everywhere; only how
+// replies reach the page differs.
+const WORKER_SCOPE =
+    typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope ? 'service-worker' :
+    typeof SharedWorkerGlobalScope !== 'undefined' && self instanceof SharedWorkerGlobalScope ? 'shared-worker' :
+    typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope ? 'worker' :
+    'main-thread';
+
+// Relative model URLs resolve against the js/ directory in every scope. In a
+// worker that is the worker script's location; on the page it is this script's.
+const PIPELINE_BASE_URL = WORKER_SCOPE === 'main-thread' && document.currentScript
+    ? document.currentScript.src
+    : self.location.href;
+
+// Every page talking to this worker, as { id, postMessage }. Service worker
+// clients are used as-is; SharedWorker ports and the dedicated worker's own
+// global get a synthetic id.
+let clientsList = [];
+let nextEndpointId = 1;
+let isModelLoaded = false;
+
+// Where weights come from. Relative URLs resolve against PIPELINE_BASE_URL (js/).
+// LOAD_MODELS may replace the base URL and override single nets; a net keeps
+// the weights it was first loaded from.
+const DEFAULT_MODEL_URL = new URL('../models', PIPELINE_BASE_URL).href;
+let modelBaseUrl = DEFAULT_MODEL_URL;
+const modelUrlOverrides = {}; // net name -> directory or manifest .json URL
+const modelIntegrity = {};    // shard file name -> { bytes, sha256 } expected by the deployment
+
+// Model files (manifests + shards) are kept in a versioned Cache Storage entry and
+// served cache-first, so detection works offline after the first visit. Bump
+// MODEL_CACHE_VERSION whenever the weights change; `activate` drops old versions.
+const MODEL_CACHE_PREFIX = 'faceapi-models-';
+const MODEL_CACHE_VERSION = 1;
+const MODEL_CACHE_NAME = MODEL_CACHE_PREFIX + 'v' + MODEL_CACHE_VERSION;
+const PRECACHED_NETS = ['tinyFaceDetector', 'faceLandmark68Net', 'faceRecognitionNet'];
+
+/**
+ * Error codes sent in `ERROR` replies ({ type: 'ERROR', requestId, frameSeq,
+ * error: { code, message, details } }). Every request gets either its normal
+ * reply or an ERROR – never silence.
+ */
+const ERROR_CODES = Object.freeze({
+    MODELS_NOT_LOADED: 'MODELS_NOT_LOADED', // DETECT/WARMUP before LOAD_MODELS finished
+    MODEL_LOAD_FAILED: 'MODEL_LOAD_FAILED', // fetching or parsing weights failed
+    MODEL_INTEGRITY_FAILED: 'MODEL_INTEGRITY_FAILED', // manifest/shard missing, wrong size or hash; details.problems lists each file
+    INVALID_FRAME: 'INVALID_FRAME',         // missing/mis-sized frame, or it could not be drawn
+    INFERENCE_FAILED: 'INFERENCE_FAILED',   // face-api.js threw while detecting
+    UNKNOWN_MESSAGE: 'UNKNOWN_MESSAGE',     // unsupported `type`
+    INVALID_IDENTITY: 'INVALID_IDENTITY',   // ENROLL without a label or with malformed descriptors
+    IDENTITY_NOT_FOUND: 'IDENTITY_NOT_FOUND', // GET_IDENTITY for a label that is not enrolled
+    STORE_FAILED: 'STORE_FAILED',           // IndexedDB is unavailable or a transaction failed
+});
+
+class DetectionError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'DetectionError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function toErrorReply(err, requestId, frameSeq) {
+    const code = err instanceof DetectionError ? err.code : ERROR_CODES.INFERENCE_FAILED;
+    return {
+        type: 'ERROR',
+        requestId,
+        frameSeq,
+        error: { code, message: err.message || String(err), details: err.details },
+    };
+}
+
+/**
+ * Every net the worker can load, by the name used in LOAD_MODELS, progress
+ * events and `modelUrls` overrides.
+ */
+const NETS = {
+    tinyFaceDetector: () => faceapi.nets.tinyFaceDetector,
+    ssdMobilenetv1: () => faceapi.nets.ssdMobilenetv1,
+    mtcnn: () => faceapi.nets.mtcnn,
+    faceLandmark68Net: () => faceapi.nets.faceLandmark68Net,
+    faceRecognitionNet: () => faceapi.nets.faceRecognitionNet,
+    faceExpressionNet: () => faceapi.nets.faceExpressionNet,
+};
+
+/**
+ * Face detector backends. Only the detector a request asks for is loaded –
+ * its weights (e.g. ssd_mobilenetv1_model-weights_manifest.json + shards) must
+ * be present next to the other models.
+ *   createOptions – builds the face-api.js options object from resolved options
+ */
+const DETECTORS = {
+    tinyFaceDetector: {
+        createOptions: o => new faceapi.TinyFaceDetectorOptions({
+            inputSize: o.inputSize,
+            scoreThreshold: o.scoreThreshold,
+        }),
+    },
+    ssdMobilenetv1: {
+        createOptions: o => new faceapi.SsdMobilenetv1Options({
+            minConfidence: o.scoreThreshold,
+            maxResults: o.maxDetectedFaces,
+        }),
+    },
+    mtcnn: {
+        createOptions: o => new faceapi.MtcnnOptions({
+            minFaceSize: o.minFaceSize,
+            scoreThresholds: o.scoreThresholds,
+        }),
+    },
+};
+const netLoading = new Map(); // net name -> loading promise
+
+// Detector options are never shared mutable state: every request resolves its own
+// options from these defaults, the sending client's session options (set with
+// SET_DETECTOR_OPTIONS) and the request's own `face_detector_options`.
+const FaceDetectorOptionsDefault = Object.freeze({
+    detector: 'tinyFaceDetector',
+    inputSize: 128,               // tinyFaceDetector
+    scoreThreshold: 0.1,          // tinyFaceDetector, ssdMobilenetv1 (minConfidence)
+    maxDetectedFaces: 1,
+    minFaceSize: 20,              // mtcnn
+    scoreThresholds: [0.6, 0.7, 0.7], // mtcnn (P-Net, R-Net, O-Net)
+    withExpressions: false,       // opt-in FaceExpressionNet stage
+    alignDescriptors: false,      // compute descriptors from roll-corrected face chips
+});
+const sessionDetectorOptions = new Map(); // client.id -> validated options
+
+/**
+ * Keeps only the recognised, valid fields of `options`. Invalid values are
+ * reported and dropped so the next level (session or default) applies.
+ */
+function validateDetectorOptions(options) {
+    const valid = {};
+    if (!options || typeof options !== 'object') {
+        return valid;
+    }
+    const { detector, inputSize, scoreThreshold, maxDetectedFaces, minFaceSize, scoreThresholds, withExpressions, alignDescriptors } = options;
+    if (detector !== undefined) {
+        if (Object.prototype.hasOwnProperty.call(DETECTORS, detector)) {
+            valid.detector = detector;
+        } else {
+            console.warn('Ignoring unknown detector (expected one of ' + Object.keys(DETECTORS).join(', ') + '):', detector);
+        }
+    }
+    if (inputSize !== undefined) {
+        // TinyFaceDetector only accepts input sizes divisible by 32
+        if (Number.isInteger(inputSize) && inputSize > 0 && inputSize % 32 === 0) {
+            valid.inputSize = inputSize;
+        } else {
+            console.warn('Ignoring invalid inputSize (expected a positive multiple of 32):', inputSize);
+        }
+    }
+    if (scoreThreshold !== undefined) {
+        if (typeof scoreThreshold === 'number' && scoreThreshold > 0 && scoreThreshold < 1) {
+            valid.scoreThreshold = scoreThreshold;
+        } else {
+            console.warn('Ignoring invalid scoreThreshold (expected 0 < value < 1):', scoreThreshold);
+        }
+    }
+    if (maxDetectedFaces !== undefined) {
+        if (Number.isInteger(maxDetectedFaces) && maxDetectedFaces > 0) {
+            valid.maxDetectedFaces = maxDetectedFaces;
+        } else {
+            console.warn('Ignoring invalid maxDetectedFaces (expected a positive integer):', maxDetectedFaces);
+        }
+    }
+    if (minFaceSize !== undefined) {
+        if (typeof minFaceSize === 'number' && minFaceSize > 0) {
+            valid.minFaceSize = minFaceSize;
+        } else {
+            console.warn('Ignoring invalid minFaceSize (expected a positive number):', minFaceSize);
+        }
+    }
+    if (scoreThresholds !== undefined) {
+        if (Array.isArray(scoreThresholds) && scoreThresholds.length === 3 &&
+            scoreThresholds.every(t => typeof t === 'number' && t > 0 && t < 1)) {
+            valid.scoreThresholds = scoreThresholds.slice();
+        } else {
+            console.warn('Ignoring invalid scoreThresholds (expected three values between 0 and 1):', scoreThresholds);
+        }
+    }
+    if (withExpressions !== undefined) {
+        if (typeof withExpressions === 'boolean') {
+            valid.withExpressions = withExpressions;
+        } else {
+            console.warn('Ignoring invalid withExpressions (expected a boolean):', withExpressions);
+        }
+    }
+    if (alignDescriptors !== undefined) {
+        if (typeof alignDescriptors === 'boolean') {
+            valid.alignDescriptors = alignDescriptors;
+        } else {
+            console.warn('Ignoring invalid alignDescriptors (expected a boolean):', alignDescriptors);
+        }
+    }
+    return valid;
+}
+
+function resolveDetectorOptions(clientId, requestOptions) {
+    return Object.assign(
+        {},
+        FaceDetectorOptionsDefault,
+        sessionDetectorOptions.get(clientId),
+        validateDetectorOptions(requestOptions)
+    );
+}
+
+/**
+ * Face crop returned with every face, sent per request as `crop_options`
+ * (DETECT_FACES / WARMUP_FACES). The region is relative to the detection box,
+ * so it follows the face whatever its size or the frame resolution.
+ */
+const CropOptionsDefault = Object.freeze({
+    padding: 0.25,      // fraction of the box width / height added on every side
+    aspectRatio: 1,     // output width / height
+    fit: 'crop',        // 'crop': grow the region to aspectRatio (1 = square);
+                        // 'letterbox': keep the padded box, add black bars
+    outputWidth: null,  // output pixels; null keeps the region's own resolution
+    align: false,       // rotate the crop so the eyes are level (roll correction)
+});
+const CROP_FITS = ['crop', 'letterbox'];
+
+function validateCropOptions(options) {
+    const valid = {};
+    if (!options || typeof options !== 'object') {
+        return valid;
+    }
+    const { padding, aspectRatio, fit, outputWidth, align } = options;
+    if (padding !== undefined) {
+        if (typeof padding === 'number' && padding >= 0 && padding <= 2) {
+            valid.padding = padding;
+        } else {
+            console.warn('Ignoring invalid crop padding (expected 0 <= value <= 2):', padding);
+        }
+    }
+    if (aspectRatio !== undefined) {
+        if (typeof aspectRatio === 'number' && aspectRatio > 0 && isFinite(aspectRatio)) {
+            valid.aspectRatio = aspectRatio;
+        } else {
+            console.warn('Ignoring invalid crop aspectRatio (expected a positive number):', aspectRatio);
+        }
+    }
+    if (fit !== undefined) {
+        if (CROP_FITS.includes(fit)) {
+            valid.fit = fit;
+        } else {
+            console.warn('Ignoring unknown crop fit (expected one of ' + CROP_FITS.join(', ') + '):', fit);
+        }
+    }
+    if (outputWidth !== undefined) {
+        if (outputWidth === null || (Number.isInteger(outputWidth) && outputWidth > 0)) {
+            valid.outputWidth = outputWidth;
+        } else {
+            console.warn('Ignoring invalid crop outputWidth (expected a positive integer or null):', outputWidth);
+        }
+    }
+    if (align !== undefined) {
+        if (typeof align === 'boolean') {
+            valid.align = align;
+        } else {
+            console.warn('Ignoring invalid crop align (expected a boolean):', align);
+        }
+    }
+    return valid;
+}
+
+function resolveCropOptions(requestOptions) {
+    return Object.assign({}, CropOptionsDefault, validateCropOptions(requestOptions));
+}
+
+/**
+ * Forgets clients (and their session options) whose page has gone away.
+ */
+async function pruneClients() {
+    if (WORKER_SCOPE !== 'service-worker') {
+        // Ports and dedicated workers are dropped when they close, see forgetClient()
+        return;
+    }
+    const liveIds = (await self.clients.matchAll({ includeUncontrolled: true })).map(c => c.id);
+    clientsList = clientsList.filter(c => liveIds.includes(c.id));
+    for (const id of sessionDetectorOptions.keys()) {
+        if (!liveIds.includes(id)) {
+            sessionDetectorOptions.delete(id);
+        }
+    }
+}
+
+/**
+ * Applies the model locations of a LOAD_MODELS message. Non-string values are ignored.
+ * `integrity` maps shard file names to the `{ bytes, sha256 }` they must have.
+ */
+function configureModelUrls(modelUrl, modelUrls, integrity) {
+    if (typeof modelUrl === 'string' && modelUrl) {
+        modelBaseUrl = modelUrl;
+    }
+    if (modelUrls && typeof modelUrls === 'object') {
+        Object.keys(modelUrls).forEach(name => {
+            if (NETS[name] && typeof modelUrls[name] === 'string') {
+                modelUrlOverrides[name] = modelUrls[name];
+            } else {
+                console.warn('Ignoring model URL override for', name);
+            }
+        });
+    }
+    if (integrity && typeof integrity === 'object') {
+        Object.assign(modelIntegrity, integrity);
+    }
+}
+
+/**
+ * Manifest and shard base URL of a net. A URL ending in .json is the manifest
+ * itself; anything else is the directory holding `<model>-weights_manifest.json`.
+ */
+function modelUris(name) {
+    const uri = modelUrlOverrides[name] || modelBaseUrl;
+    if (uri.endsWith('.json')) {
+        return { manifestUri: uri, modelBaseUri: uri.slice(0, uri.lastIndexOf('/') + 1) };
+    }
+    const base = uri.endsWith('/') ? uri : uri + '/';
+    return { manifestUri: base + NETS[name]().getDefaultModelName() + '-weights_manifest.json', modelBaseUri: base };
+}
+
+// Bytes per value, as tfjs decodes them (quantized weights use the quantized dtype)
+const DTYPE_SIZES = { float32: 4, int32: 4, uint16: 2, uint8: 1, bool: 1 };
+
+function weightByteSize(spec) {
+    const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+    return DTYPE_SIZES[dtype] * spec.shape.reduce((size, dim) => size * dim, 1);
+}
+
+// Absolute shard URL -> byte size its manifest implies (null: manifest seen, size not derivable).
+// Filled by fetchManifest; shards not listed here are never cached.
+const expectedModelBytes = new Map();
+
+function modelFileKey(request) {
+    return new URL(typeof request === 'string' ? request : request.url, PIPELINE_BASE_URL).href;
+}
+
+/**
+ * Whether a downloaded model file may go into the cache: manifests must parse
+ * as JSON, shards must have the size their manifest implies. Keeps truncated
+ * files and HTML fallback pages served with 200 out of the cache, where they
+ * would fail every later load.
+ */
+function isCacheableModelFile(url, buffer) {
+    if (url.endsWith('-weights_manifest.json')) {
+        try {
+            return Array.isArray(JSON.parse(new TextDecoder().decode(buffer)));
+        } catch (err) {
+            return false;
+        }
+    }
+    if (!expectedModelBytes.has(url)) {
+        return false;
+    }
+    const expected = expectedModelBytes.get(url);
+    return expected === null || buffer.byteLength === expected;
+}
+
+/**
+ * Caches a model file response once it passes isCacheableModelFile and, when
+ * the deployment configured one, its SHA-256 hash. The body is stored
+ * decoded, with a Content-Length that matches it.
+ * @returns {Promise<boolean>} whether it was stored
+ */
+async function storeModelFile(cache, request, response) {
+    const url = modelFileKey(request);
+    const buffer = await response.arrayBuffer();
+    if (!isCacheableModelFile(url, buffer)) {
+        return false;
+    }
+    const expected = modelIntegrity[url.slice(url.lastIndexOf('/') + 1)];
+    if (expected && expected.sha256 && (await sha256Hex(buffer)) !== expected.sha256.toLowerCase()) {
+        return false;
+    }
+    const headers = new Headers(response.headers);
+    headers.delete('Content-Encoding');
+    headers.set('Content-Length', String(buffer.byteLength));
+    await cache.put(request, new Response(buffer, { status: response.status, statusText: response.statusText, headers }));
+    return true;
+}
+
+async function deleteCachedModelFile(url) {
+    if (typeof caches !== 'undefined') {
+        await (await caches.open(MODEL_CACHE_NAME)).delete(url);
+    }
+}
+
+/**
+ * Cache-first fetch for model files. Successful network responses are stored
+ * for next time once they pass storeModelFile's checks; failures are never
+ * cached. Falls back to plain fetch where Cache Storage is unavailable (e.g.
+ * insecure origins).
+ */
+async function cachedFetch(request) {
+    if (typeof caches === 'undefined') {
+        return fetch(request);
+    }
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        // Stored in the background, so the caller can still stream the body for progress
+        storeModelFile(cache, request, response.clone())
+            .catch(err => console.warn('Unable to cache ' + modelFileKey(request) + ':', err));
+    }
+    return response;
+}
+
+function isModelFileUrl(url) {
+    const path = new URL(url, PIPELINE_BASE_URL).pathname;
+    return path.endsWith('-weights_manifest.json') || /-shard\d+$/.test(path);
+}
+
+/**
+ * Stores the default nets' manifests and shards at install time. A missing
+ * file is logged and skipped – it must not keep the worker from installing.
+ */
+async function precacheModels() {
+    if (typeof caches === 'undefined') {
+        return;
+    }
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    for (const name of PRECACHED_NETS) {
+        try {
+            const info = await fetchManifest(name);
+            for (const group of info.manifest) {
+                for (const path of group.paths) {
+                    const url = info.modelBaseUri + path;
+                    if (await cache.match(url)) {
+                        continue;
+                    }
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        console.warn('Precache skipped ' + url + ' (' + response.status + ')');
+                    } else if (!(await storeModelFile(cache, url, response))) {
+                        console.warn('Precache skipped ' + url + ' (unexpected size)');
+                    }
+                }
+            }
+        } catch (err) {
+            console.warn('Precache of ' + name + ' failed:', err);
+        }
+    }
+}
+
+async function deleteOldModelCaches() {
+    if (typeof caches === 'undefined') {
+        return;
+    }
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(MODEL_CACHE_PREFIX) && name !== MODEL_CACHE_NAME)
+        .map(name => caches.delete(name)));
+}
+
+async function fetchModelFile(url) {
+    const response = await cachedFetch(url);
+    if (!response.ok) {
+        throw new Error('failed to fetch (' + response.status + ') ' + url);
+    }
+    return response;
+}
+
+/**
+ * Fetches a net's manifest and works out how many bytes its shards hold, so
+ * progress can be reported against a known total before any shard arrives.
+ */
+async function fetchManifest(name) {
+    const { manifestUri, modelBaseUri } = modelUris(name);
+    const manifest = await (await fetchModelFile(manifestUri)).json();
+    const totalBytes = manifest.reduce((sum, group) =>
+        sum + group.weights.reduce((groupSum, spec) => groupSum + weightByteSize(spec), 0), 0);
+    manifest.forEach(group => {
+        const expected = expectedShardBytes(group);
+        group.paths.forEach((path, i) => {
+            const bytes = (modelIntegrity[path] && modelIntegrity[path].bytes) || (expected && expected[i]) || null;
+            expectedModelBytes.set(modelFileKey(modelBaseUri + path), bytes);
+        });
+    });
+    return { name, manifest, manifestUri, modelBaseUri, totalBytes };
+}
+
+/**
+ * Reads a response body chunk by chunk, calling `onBytes(n)` as data arrives.
+ */
+async function readWithProgress(response, onBytes) {
+    if (!response.body || !response.body.getReader) {
+        const buffer = await response.arrayBuffer();
+        onBytes(buffer.byteLength);
+        return buffer;
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+        onBytes(value.byteLength);
+    }
+    return concatBuffers(chunks);
+}
+
+function concatBuffers(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk), offset);
+        offset += chunk.byteLength;
+    });
+    return result.buffer;
+}
+
+/**
+ * Downloads a net's shards and hands the decoded weights to face-api.js – the
+ * same work as `net.loadFromUri`, but with byte-level progress.
+ * @param {Function} onProgress – (loadedBytes, totalBytes) => void
+ */
+async function loadNetWeights(info, onProgress) {
+    let loadedBytes = 0;
+    const weightMap = {};
+    for (const group of info.manifest) {
+        const buffers = [];
+        const expected = expectedShardBytes(group);
+        for (let i = 0; i < group.paths.length; i++) {
+            const path = group.paths[i];
+            const response = await fetchModelFile(info.modelBaseUri + path);
+            const buffer = await readWithProgress(response, bytes => {
+                loadedBytes += bytes;
+                onProgress(loadedBytes, info.totalBytes);
+            });
+            await verifyShard(info, path, buffer, expected && expected[i]);
+            buffers.push(buffer);
+        }
+        Object.assign(weightMap, faceapi.tf.io.decodeWeights(concatBuffers(buffers), group.weights));
+    }
+    NETS[info.name]().loadFromWeightMap(weightMap);
+}
+
+// tfjs converters split weight groups into shards of this size; only the last is smaller
+const SHARD_SIZE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Expected byte size of every shard of a manifest group, or null when the
+ * group's layout does not follow the standard shard size.
+ */
+function expectedShardBytes(group) {
+    const groupBytes = group.weights.reduce((sum, spec) => sum + weightByteSize(spec), 0);
+    const lastBytes = groupBytes - SHARD_SIZE_BYTES * (group.paths.length - 1);
+    if (lastBytes <= 0 || lastBytes > SHARD_SIZE_BYTES) {
+        return null;
+    }
+    return group.paths.map((path, i) => i === group.paths.length - 1 ? lastBytes : SHARD_SIZE_BYTES);
+}
+
+function integrityError(problems) {
+    const summary = problems.map(p => p.file + ' (' + p.problem + ')').join(', ');
+    return new DetectionError(ERROR_CODES.MODEL_INTEGRITY_FAILED, 'Model files failed verification: ' + summary, { problems });
+}
+
+/**
+ * Size of a model file without downloading it: from the cache when present,
+ * else a HEAD request, or a GET whose body is dropped when the server does not
+ * allow HEAD. `bytes` is null when the server does not say (or only gives the
+ * compressed size); the downloaded shard is still checked by verifyShard.
+ */
+async function probeModelFile(url) {
+    let response = typeof caches !== 'undefined' ? await (await caches.open(MODEL_CACHE_NAME)).match(url) : null;
+    const cached = !!response;
+    if (!response) {
+        response = await fetch(url, { method: 'HEAD' });
+        if (response.status === 405 || response.status === 501) {
+            response = await fetch(url);
+            if (response.body) {
+                await response.body.cancel();
+            }
+        }
+    }
+    const encoding = response.headers.get('Content-Encoding');
+    const length = Number(response.headers.get('Content-Length') || NaN);
+    const bytes = length > 0 && (!encoding || encoding === 'identity') ? length : null;
+    return { status: response.status, ok: response.ok, bytes, cached };
+}
+
+/**
+ * Fetches the manifests of `names` and checks that every shard they list
+ * exists with the expected size, before any weights are downloaded. Throws a
+ * MODEL_INTEGRITY_FAILED error naming every bad file.
+ * @returns {Promise<Object[]>} fetchManifest results, in `names` order
+ */
+async function prepareNets(names) {
+    const problems = [];
+    const infos = [];
+    for (const name of names) {
+        let info;
+        try {
+            info = await fetchManifest(name);
+        } catch (err) {
+            // A bad cached copy must not outlive a fixed deployment
+            await deleteCachedModelFile(modelUris(name).manifestUri);
+            problems.push({ net: name, file: modelUris(name).manifestUri, problem: 'manifest unreadable', message: err.message });
+            continue;
+        }
+        infos.push(info);
+        for (const group of info.manifest) {
+            const expected = expectedShardBytes(group);
+            for (let i = 0; i < group.paths.length; i++) {
+                const path = group.paths[i];
+                const expectedBytes = (modelIntegrity[path] && modelIntegrity[path].bytes) || (expected && expected[i]);
+                const url = info.modelBaseUri + path;
+                const sizeMismatch = probe => expectedBytes && probe.bytes !== null && probe.bytes !== expectedBytes;
+                let probe;
+                try {
+                    probe = await probeModelFile(url);
+                    if (probe.cached && sizeMismatch(probe)) {
+                        // Evict the bad copy and ask the server, which may have been fixed since
+                        await deleteCachedModelFile(url);
+                        probe = await probeModelFile(url);
+                    }
+                } catch (err) {
+                    problems.push({ net: name, file: path, problem: 'unreachable', message: err.message });
+                    continue;
+                }
+                if (!probe.ok) {
+                    problems.push({ net: name, file: path, problem: 'missing', status: probe.status });
+                } else if (sizeMismatch(probe)) {
+                    problems.push({ net: name, file: path, problem: 'size mismatch', expectedBytes, actualBytes: probe.bytes });
+                }
+            }
+        }
+    }
+    if (problems.length > 0) {
+        throw integrityError(problems);
+    }
+    return infos;
+}
+
+async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks a downloaded shard against its expected size and, when configured,
+ * SHA-256 hash. A bad file is evicted from the cache so a fixed deployment is
+ * picked up on the next load.
+ */
+async function verifyShard(info, path, buffer, expectedBytes) {
+    const expected = modelIntegrity[path] || {};
+    let problem = null;
+    const wantedBytes = expected.bytes || expectedBytes;
+    if (wantedBytes && buffer.byteLength !== wantedBytes) {
+        problem = { net: info.name, file: path, problem: 'size mismatch', expectedBytes: wantedBytes, actualBytes: buffer.byteLength };
+    } else if (expected.sha256) {
+        const actual = await sha256Hex(buffer);
+        if (actual !== expected.sha256.toLowerCase()) {
+            problem = { net: info.name, file: path, problem: 'hash mismatch', expectedSha256: expected.sha256, actualSha256: actual };
+        }
+    }
+    if (problem) {
+        await deleteCachedModelFile(info.modelBaseUri + path);
+        throw integrityError([problem]);
+    }
+}
+
+/**
+ * Loads a net's weights once; concurrent callers share the same promise.
+ * @param {Object} [info] – result of fetchManifest, when the caller already has it
+ * @param {Function} [onProgress] – (loadedBytes, totalBytes) => void
+ */
+function ensureNetLoaded(name, info, onProgress = () => {}) {
+    if (NETS[name]().isLoaded) {
+        return Promise.resolve();
+    }
+    if (!netLoading.has(name)) {
+        const loading = (async () => {
+            await loadNetWeights(info || (await prepareNets([name]))[0], onProgress);
+        })()
+            .catch(err => {
+                if (err instanceof DetectionError) {
+                    throw err;
+                }
+                throw new DetectionError(ERROR_CODES.MODEL_LOAD_FAILED, 'Failed to load ' + name + ': ' + err.message, { net: name });
+            })
+            .finally(() => netLoading.delete(name));
+        netLoading.set(name, loading);
+    }
+    return netLoading.get(name);
+}
+
+function loadedDetectors() {
+    return Object.keys(DETECTORS).filter(name => NETS[name]().isLoaded);
+}
+
+/**
+ * Loads the requested detectors plus the landmark and recognition nets,
+ * broadcasting MODEL_LOAD_PROGRESS while shards download:
+ *   { net, netIndex, netCount, loadedBytes, totalBytes,
+ *     overallLoadedBytes, overallTotalBytes }
+ * Nets that are already loaded are skipped and not reported.
+ */
+async function loadModels(requestId, detectors) {
+    const names = detectors.concat(['faceLandmark68Net', 'faceRecognitionNet'])
+        .filter(name => !NETS[name]().isLoaded);
+
+    // Verify every manifest and shard first, so a broken deployment is reported
+    // file by file instead of failing deep inside the weight decoding
+    const infos = await prepareNets(names);
+    const overallTotalBytes = infos.reduce((sum, info) => sum + info.totalBytes, 0);
+    let overallDoneBytes = 0;
+
+    for (let i = 0; i < infos.length; i++) {
+        const info = infos[i];
+        await ensureNetLoaded(info.name, info, (loadedBytes, totalBytes) => {
+            broadcast({
+                type: 'MODEL_LOAD_PROGRESS',
+                requestId,
+                data: {
+                    net: info.name,
+                    netIndex: i,
+                    netCount: infos.length,
+                    loadedBytes,
+                    totalBytes,
+                    overallLoadedBytes: overallDoneBytes + loadedBytes,
+                    overallTotalBytes,
+                },
+            });
+        });
+        overallDoneBytes += info.totalBytes;
+    }
+
+    isModelLoaded = true;
+    broadcast({ type: 'MODELS_LOADED', requestId, data: { detectors: loadedDetectors() } });
+}
+
+async function checkModelsLoaded(requestId, detectors) {
+    // Without an explicit list, load the default detector
+    detectors = (detectors || [FaceDetectorOptionsDefault.detector])
+        .filter(name => validateDetectorOptions({ detector: name }).detector);
+    console.log(isModelLoaded ? "checkModelsLoaded : Models are loaded." : "checkModelsLoaded : Models are not loaded yet.");
+    await loadModels(requestId, detectors);
+}
+
+
+/**
+ * Offscreen canvases are reused between frames instead of allocating one per
+ * request. A canvas is checked out for the whole detection – face-api.js reads
+ * it again for landmarks and descriptors – so overlapping requests (another
+ * tab, a warm-up) each get their own.
+ */
+const frameCanvasPool = [];
+
+function createFrameCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    // Main-thread mode on browsers without OffscreenCanvas
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function acquireFrameCanvas(width, height) {
+    const canvas = frameCanvasPool.pop() || createFrameCanvas(width, height);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    return canvas;
+}
+
+function releaseFrameCanvas(canvas) {
+    frameCanvasPool.push(canvas);
+}
+
+/**
+ * Paints a frame onto `ctx`. Frames arrive in one of three forms:
+ *   bitmap    – transferred ImageBitmap (zero-copy, preferred)
+ *   pixels    – transferred ArrayBuffer of RGBA bytes
+ *   imageData – structured-cloned ImageData (legacy fallback)
+ */
+function drawFrame(ctx, frame, width, height) {
+    if (frame.bitmap) {
+        ctx.drawImage(frame.bitmap, 0, 0);
+    } else if (frame.pixels) {
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(frame.pixels), width, height), 0, 0);
+    } else {
+        ctx.putImageData(frame.imageData, 0, 0);
+    }
+}
+
+function validateFrame(frame, width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new DetectionError(ERROR_CODES.INVALID_FRAME, 'Frame width and height must be positive integers', { width, height });
+    }
+    if (!frame.bitmap && !frame.pixels && !frame.imageData) {
+        throw new DetectionError(ERROR_CODES.INVALID_FRAME, 'Message carries no bitmap, pixels or imageData');
+    }
+    if (frame.pixels && frame.pixels.byteLength !== width * height * 4) {
+        throw new DetectionError(ERROR_CODES.INVALID_FRAME, 'Pixel buffer does not match width x height x 4', {
+            byteLength: frame.pixels.byteLength, width, height,
+        });
+    }
+}
+
+async function detectFaces(frame, width, height, detectorOptions, cropOptions = CropOptionsDefault) {
+    try {
+        if (!isModelLoaded) {
+            throw new DetectionError(ERROR_CODES.MODELS_NOT_LOADED, 'Models are not loaded yet – send LOAD_MODELS first');
+        }
+        validateFrame(frame, width, height);
+
+        const canvas = acquireFrameCanvas(width, height);
+        try {
+            try {
+                drawFrame(canvas.getContext('2d'), frame, width, height);
+            } catch (err) {
+                throw new DetectionError(ERROR_CODES.INVALID_FRAME, 'Unable to draw frame: ' + err.message);
+            }
+            return await detectFacesOnCanvas(canvas, detectorOptions, cropOptions);
+        } catch (err) {
+            if (err instanceof DetectionError) {
+                throw err;
+            }
+            throw new DetectionError(ERROR_CODES.INFERENCE_FAILED, 'Face detection failed: ' + err.message);
+        } finally {
+            releaseFrameCanvas(canvas);
+        }
+    } finally {
+        // Transferred bitmaps belong to the worker now; free them on every path
+        if (frame.bitmap) {
+            frame.bitmap.close();
+        }
+    }
+}
+
+/**
+ * Runs the detection pipeline on every still image of a COMPUTE_DESCRIPTOR
+ * request ({ name?, width, height, bitmap | pixels | imageData } each), one
+ * at a time. A bad image does not fail the others: it gets `faces: []` and an
+ * `error` ({ code, message }).
+ */
+async function computeDescriptors(images, detectorOptions, cropOptions) {
+    if (!isModelLoaded) {
+        throw new DetectionError(ERROR_CODES.MODELS_NOT_LOADED, 'Models are not loaded yet – send LOAD_MODELS first');
+    }
+    if (!Array.isArray(images) || images.length === 0) {
+        throw new DetectionError(ERROR_CODES.INVALID_FRAME, 'COMPUTE_DESCRIPTOR needs a non-empty images array');
+    }
+    const results = [];
+    for (const image of images) {
+        const frame = { bitmap: image.bitmap, pixels: image.pixels, imageData: image.imageData };
+        const result = { name: image.name, displaySize: { width: image.width, height: image.height }, faces: [] };
+        try {
+            result.faces = await detectFaces(frame, image.width, image.height, detectorOptions, cropOptions);
+        } catch (err) {
+            result.error = { code: err.code || ERROR_CODES.INFERENCE_FAILED, message: err.message };
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+async function detectFacesOnCanvas(canvas, detectorOptions, cropOptions) {
+    // A detector that was not requested by LOAD_MODELS is loaded on first use
+    await ensureNetLoaded(detectorOptions.detector);
+    const options = DETECTORS[detectorOptions.detector].createOptions(detectorOptions);
+    // Highest confidence first, then keep at most maxDetectedFaces – before the
+    // landmark, expression and descriptor nets, so dropped candidates cost nothing
+    const kept = (await faceapi.detectAllFaces(canvas, options))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, detectorOptions.maxDetectedFaces)
+        .map(detection => faceapi.extendWithFaceDetection({}, detection));
+    if (kept.length === 0) {
+        console.log('No face detected');
+        return [];
+    }
+    let task = new faceapi.DetectAllFaceLandmarksTask(Promise.resolve(kept), canvas, false);
+    if (detectorOptions.withExpressions) {
+        // Adds `expressions` ({ neutral, happy, sad, … } probabilities) to every face.
+        // Only the landmarks stage can chain expressions and then descriptors.
+        await ensureNetLoaded('faceExpressionNet');
+        task = task.withFaceExpressions();
+    }
+    if (!detectorOptions.alignDescriptors) {
+        task = task.withFaceDescriptors();
+    }
+    let detections = await task;
+
+    if (detectorOptions.alignDescriptors) {
+        detections = await Promise.all(detections.map(async detection => {
+            const chip = renderAlignedChip(canvas, detection, eyeRollAngle(detection.landmarks));
+            const descriptor = await faceapi.computeFaceDescriptor(chip);
+            return Object.assign({}, detection, { descriptor });
+        }));
+    }
+
+    // The landmark stage keeps the order of `kept`, so results stay highest score first
+    return detections.map(detection => {
+        const roll = eyeRollAngle(detection.landmarks);
+        const angle = cropOptions.align ? roll : 0;
+        const region = cropRegion(detection.detection.box, canvas.width, canvas.height, cropOptions);
+        const cropCanvas = renderCrop(canvas, region, cropOptions, angle);
+        const crop = cropCanvas.getContext('2d').getImageData(0, 0, cropCanvas.width, cropCanvas.height);
+        const pose = headPose(detection.landmarks);
+        const quality = measureFaceQuality(canvas, detection.detection.box, pose);
+        return serializeFace(detection, crop, region, roll, angle, pose, quality);
+    });
+}
+
+/**
+ * Frame region to crop for a detection box: the box grown by `padding` on
+ * every side, then (fit 'crop') to `aspectRatio`. A region that would leave
+ * the frame is shifted back inside, and shrunk only if it is larger than
+ * the frame itself.
+ */
+function cropRegion(box, imageWidth, imageHeight, cropOptions) {
+    const { padding, aspectRatio, fit } = cropOptions;
+    let width = box.width * (1 + 2 * padding);
+    let height = box.height * (1 + 2 * padding);
+    if (fit === 'crop') {
+        if (width / height < aspectRatio) {
+            width = height * aspectRatio;
+        } else {
+            height = width / aspectRatio;
+        }
+        const scale = Math.min(1, imageWidth / width, imageHeight / height);
+        width *= scale;
+        height *= scale;
+    } else {
+        width = Math.min(width, imageWidth);
+        height = Math.min(height, imageHeight);
+    }
+    width = Math.max(1, Math.min(Math.round(width), imageWidth));
+    height = Math.max(1, Math.min(Math.round(height), imageHeight));
+    const centerX = box.x + box.width / 2;
+    const centerY = box.y + box.height / 2;
+    return {
+        x: Math.round(Math.min(Math.max(centerX - width / 2, 0), imageWidth - width)),
+        y: Math.round(Math.min(Math.max(centerY - height / 2, 0), imageHeight - height)),
+        width,
+        height,
+    };
+}
+
+// Output [width, height] of a crop
+function cropSize(region, cropOptions) {
+    const { aspectRatio, outputWidth } = cropOptions;
+    const width = outputWidth || Math.round(Math.max(region.width, region.height * aspectRatio));
+    return [width, Math.max(1, Math.round(width / aspectRatio))];
+}
+
+/**
+ * Draws `region` of the frame into a new canvas of the requested output
+ * size. Letterboxed regions are centred on black. A non-zero `angle`
+ * (radians, see eyeRollAngle) rotates the frame about the region's centre
+ * so that the eyes come out level; pixels from outside the frame stay black.
+ */
+function renderCrop(canvas, region, cropOptions, angle = 0) {
+    const [width, height] = cropSize(region, cropOptions);
+    const target = createFrameCanvas(width, height);
+    const ctx = target.getContext('2d');
+
+    let drawWidth = width;
+    let drawHeight = height;
+    if (cropOptions.fit === 'letterbox') {
+        const scale = Math.min(width / region.width, height / region.height);
+        drawWidth = region.width * scale;
+        drawHeight = region.height * scale;
+    }
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect((width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    ctx.clip();
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(-angle);
+    ctx.scale(drawWidth / region.width, drawHeight / region.height);
+    ctx.drawImage(canvas, -(region.x + region.width / 2), -(region.y + region.height / 2));
+    ctx.restore();
+    return target;
+}
+
+/**
+ * Roll of the head in radians: the slope of the line through both eye
+ * centres (68-point landmarks). 0 when the eyes are level, positive when the
+ * eye on the right of the image sits lower.
+ */
+function eyeRollAngle(landmarks) {
+    const center = points => ({
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    });
+    const left = center(landmarks.getLeftEye());
+    const right = center(landmarks.getRightEye());
+    return Math.atan2(right.y - left.y, right.x - left.x);
+}
+
+// Where the nose tip sits between the eye line (0) and the mouth line (1) on a
+// frontal face (mean 68-point shape)
+const NEUTRAL_NOSE_POSITION = 0.6;
+
+/**
+ * Rough head pose from the 68 landmarks, both unitless and about 0 for a
+ * frontal face:
+ *   yaw   – -1..1, positive when the nose points to the right of the image
+ *           (the person turns to their left), from the nose-tip-to-jaw distances
+ *   pitch – positive with the chin up, negative with the chin down, from the
+ *           nose tip's position between the eye and mouth lines
+ * Individual faces differ, so compare against a frontal capture of the same
+ * person when precision matters.
+ */
+function headPose(landmarks) {
+    const p = landmarks.positions;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const nose = p[30];
+
+    const left = distance(nose, p[0]);
+    const right = distance(nose, p[16]);
+    const yaw = (left - right) / (left + right);
+
+    // Project the nose tip onto the eyes-to-mouth axis, so head roll does not count
+    const eyes = midpoint(p[36], p[45]);
+    const mouth = midpoint(p[48], p[54]);
+    const axis = { x: mouth.x - eyes.x, y: mouth.y - eyes.y };
+    const position = ((nose.x - eyes.x) * axis.x + (nose.y - eyes.y) * axis.y) / (axis.x * axis.x + axis.y * axis.y);
+    const pitch = (NEUTRAL_NOSE_POSITION - position) / NEUTRAL_NOSE_POSITION;
+
+    return { yaw, pitch };
+}
+
+// Side of the grey-scale sample the image measures are taken on
+const QUALITY_SAMPLE_SIZE = 64;
+// |yaw| or |pitch| at which frontalness reaches 0
+const FRONTAL_POSE_LIMIT = 0.5;
+let qualityCanvas = null;
+
+/**
+ * Image quality of one face, measured on the detection box resampled to
+ * QUALITY_SAMPLE_SIZE² grey pixels so values compare across resolutions:
+ *   faceRatio   – box width / frame width
+ *   sharpness   – variance of the Laplacian; blurred faces score low (roughly < 30)
+ *   brightness  – mean luminance, 0 (black) … 1 (white)
+ *   frontalness – 1 for a frontal pose, falling to 0 at FRONTAL_POSE_LIMIT
+ */
+function measureFaceQuality(canvas, box, pose) {
+    const x = Math.max(0, box.x);
+    const y = Math.max(0, box.y);
+    const width = Math.max(1, Math.min(box.x + box.width, canvas.width) - x);
+    const height = Math.max(1, Math.min(box.y + box.height, canvas.height) - y);
+
+    const size = QUALITY_SAMPLE_SIZE;
+    if (!qualityCanvas) {
+        qualityCanvas = createFrameCanvas(size, size);
+    }
+    const ctx = qualityCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(canvas, x, y, width, height, 0, 0, size, size);
+    const pixels = ctx.getImageData(0, 0, size, size).data;
+
+    const gray = new Float32Array(size * size);
+    let luminance = 0;
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        luminance += gray[i];
+    }
+
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+    for (let row = 1; row < size - 1; row++) {
+        for (let col = 1; col < size - 1; col++) {
+            const i = row * size + col;
+            const laplacian = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - size] - gray[i + size];
+            sum += laplacian;
+            sumOfSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const mean = sum / count;
+
+    return {
+        faceRatio: box.width / canvas.width,
+        sharpness: sumOfSquares / count - mean * mean,
+        brightness: luminance / gray.length / 255,
+        frontalness: Math.max(0, 1 - Math.max(Math.abs(pose.yaw), Math.abs(pose.pitch)) / FRONTAL_POSE_LIMIT),
+    };
+}
+
+// FaceRecognitionNet input size
+const FACE_CHIP_SIZE = 150;
+
+/**
+ * Roll-corrected, square face chip for descriptor computation: the same
+ * landmark-fitted box face-api.js crops for withFaceDescriptors(), rotated
+ * so the eyes are level.
+ */
+function renderAlignedChip(canvas, detection, angle) {
+    const box = detection.alignedRect.box;
+    const size = Math.max(box.width, box.height);
+    const region = {
+        x: box.x + box.width / 2 - size / 2,
+        y: box.y + box.height / 2 - size / 2,
+        width: size,
+        height: size,
+    };
+    return renderCrop(canvas, region, { aspectRatio: 1, fit: 'crop', outputWidth: FACE_CHIP_SIZE }, angle);
+}
+
+/**
+ * Version of the result schema below. Bump it on any breaking change to the
+ * shape of `faces` so integrations can refuse results they do not understand.
+ */
+const RESULT_SCHEMA_VERSION = 1;
+
+/**
+ * DETECTION_RESULT / WARMUP_RESULT `data` (schemaVersion 1) – plain JSON apart
+ * from the crop's ImageData, never face-api.js class instances:
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     displaySize: { width, height },        // size of the analysed frame
+ *     faces: [{                              // highest score first
+ *       box:        { x, y, width, height }, // detector box, frame pixels
+ *       alignedBox: { x, y, width, height }, // box re-fitted to the landmarks
+ *       score:      0.97,                    // detection confidence 0..1
+ *       roll:       -4.2,                    // head roll in degrees from the eye landmarks
+ *       pose:       { yaw, pitch },          // unitless estimates, see headPose()
+ *       quality:    { faceRatio, sharpness, brightness, frontalness }, // see measureFaceQuality()
+ *       landmarks: {
+ *         positions: [{ x, y }, …],          // all 68 points
+ *         jawOutline, leftEyeBrow, rightEyeBrow, nose, leftEye, rightEye, mouth
+ *       },                                   // each group: [{ x, y }, …]
+ *       descriptor: [ …128 numbers ],
+ *       expressions: { neutral, happy, … },  // only with withExpressions
+ *       crop: { x, y, width, height, angle, imageData } // frame region (see crop_options),
+ *                                            // rotation applied in degrees (crop_options.align)
+ *                                            // and its pixels at the output size
+ *     }]
+ *   }
+ */
+function serializeFace(detection, crop, region, roll, angle, pose, quality) {
+    const landmarks = detection.landmarks;
+    const face = {
+        box: serializeRect(detection.detection.box),
+        alignedBox: serializeRect(detection.alignedRect.box),
+        score: detection.detection.score,
+        roll: roll * 180 / Math.PI,
+        pose,
+        quality,
+        landmarks: {
+            positions: serializePoints(landmarks.positions),
+            jawOutline: serializePoints(landmarks.getJawOutline()),
+            leftEyeBrow: serializePoints(landmarks.getLeftEyeBrow()),
+            rightEyeBrow: serializePoints(landmarks.getRightEyeBrow()),
+            nose: serializePoints(landmarks.getNose()),
+            leftEye: serializePoints(landmarks.getLeftEye()),
+            rightEye: serializePoints(landmarks.getRightEye()),
+            mouth: serializePoints(landmarks.getMouth()),
+        },
+        descriptor: Array.from(detection.descriptor),
+        crop: Object.assign(serializeRect(region), { angle: angle * 180 / Math.PI, imageData: crop }),
+    };
+    if (detection.expressions) {
+        face.expressions = Object.assign({}, detection.expressions);
+    }
+    return face;
+}
+
+function serializeRect(rect) {
+    return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+}
+
+function serializePoints(points) {
+    return points.map(point => ({ x: point.x, y: point.y }));
+}
+
+/**
+ * Identity store: enrolled descriptors persisted in IndexedDB, so register and
+ * verify survive page loads. Records are keyed by label:
+ *   { label, descriptors: number[][], captures, createdAt, updatedAt } (ms timestamps)
+ * `captures[i]` describes `descriptors[i]` ({ poseLabel, quality, pose,
+ * capturedAt } as in descriptor files) and is null when none was enrolled.
+ * Every change is broadcast as IDENTITIES_CHANGED ({ label }).
+ */
+const IDENTITY_DB_NAME = 'faceapi-identities';
+const IDENTITY_DB_VERSION = 1;
+const IDENTITY_STORE = 'identities';
+let identityDbPromise = null;
+
+function openIdentityDb() {
+    if (!identityDbPromise) {
+        identityDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                throw new DetectionError(ERROR_CODES.STORE_FAILED, 'IndexedDB is not available here');
+            }
+            const request = indexedDB.open(IDENTITY_DB_NAME, IDENTITY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(IDENTITY_STORE, { keyPath: 'label' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new DetectionError(ERROR_CODES.STORE_FAILED,
+                'Unable to open the identity store: ' + (request.error && request.error.message)));
+        });
+        // Let a later request retry after a failure
+        identityDbPromise.catch(() => { identityDbPromise = null; });
+    }
+    return identityDbPromise;
+}
+
+/**
+ * Runs `fn(store)` in one transaction and resolves with the `result` of what
+ * it returns (an IDBRequest, or any object with a `result`) once the
+ * transaction has committed.
+ */
+async function withIdentityStore(mode, fn) {
+    const db = await openIdentityDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(IDENTITY_STORE, mode);
+        const request = fn(transaction.objectStore(IDENTITY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = transaction.onabort = () => reject(new DetectionError(ERROR_CODES.STORE_FAILED,
+            'Identity store transaction failed: ' + (transaction.error && transaction.error.message)));
+    });
+}
+
+function identitySummary(record) {
+    return {
+        label: record.label,
+        descriptorCount: record.descriptors.length,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+    };
+}
+
+function validateIdentityLabel(label) {
+    if (typeof label !== 'string' || !label.trim()) {
+        throw new DetectionError(ERROR_CODES.INVALID_IDENTITY, 'An identity needs a non-empty label');
+    }
+    return label.trim();
+}
+
+// Capture fields kept next to each descriptor; the descriptor itself is not duplicated
+function captureMetadata(capture) {
+    if (!capture || typeof capture !== 'object') {
+        return null;
+    }
+    return {
+        poseLabel: typeof capture.poseLabel === 'string' ? capture.poseLabel : null,
+        quality: capture.quality && typeof capture.quality === 'object' ? capture.quality : null,
+        pose: capture.pose && typeof capture.pose === 'object' ? capture.pose : null,
+        capturedAt: typeof capture.capturedAt === 'string' ? capture.capturedAt : null,
+    };
+}
+
+/**
+ * Adds descriptors to the identity `label` (created on first use), or
+ * replaces its descriptors when `replace` is set. `captures`, when given,
+ * holds one capture record per descriptor (see the store comment above).
+ */
+async function enrollIdentity(label, descriptors, replace, captures) {
+    label = validateIdentityLabel(label);
+    const valid = Array.isArray(descriptors) && descriptors.length > 0 && descriptors.every(descriptor =>
+        descriptor && typeof descriptor.length === 'number' && descriptor.length > 0 &&
+        Array.from(descriptor).every(value => typeof value === 'number' && isFinite(value)));
+    if (!valid) {
+        throw new DetectionError(ERROR_CODES.INVALID_IDENTITY, 'ENROLL needs a non-empty array of numeric descriptors', { label });
+    }
+    if (captures != null && (!Array.isArray(captures) || captures.length !== descriptors.length)) {
+        throw new DetectionError(ERROR_CODES.INVALID_IDENTITY, 'ENROLL captures must match the descriptors one to one', { label });
+    }
+    const added = descriptors.map((descriptor, index) => captureMetadata(captures && captures[index]));
+    // Read and write in one transaction so concurrent ENROLLs of a label both land
+    return withIdentityStore('readwrite', store => {
+        const enrolled = { result: null };
+        const request = store.get(label);
+        request.onsuccess = () => {
+            const existing = request.result && !replace ? request.result : null;
+            const now = Date.now();
+            // Records enrolled before captures were stored get a null per descriptor
+            const kept = existing ? existing.captures || existing.descriptors.map(() => null) : [];
+            enrolled.result = {
+                label,
+                descriptors: (existing ? existing.descriptors : []).concat(descriptors.map(d => Array.from(d))),
+                captures: kept.concat(added),
+                createdAt: request.result ? request.result.createdAt : now,
+                updatedAt: now,
+            };
+            store.put(enrolled.result);
+        };
+        return enrolled;
+    });
+}
+
+async function listIdentities() {
+    const records = await withIdentityStore('readonly', store => store.getAll());
+    return records.map(identitySummary);
+}
+
+async function getIdentity(label) {
+    label = validateIdentityLabel(label);
+    const record = await withIdentityStore('readonly', store => store.get(label));
+    if (!record) {
+        throw new DetectionError(ERROR_CODES.IDENTITY_NOT_FOUND, 'No identity enrolled as "' + label + '"', { label });
+    }
+    return record;
+}
+
+async function deleteIdentity(label) {
+    label = validateIdentityLabel(label);
+    return withIdentityStore('readwrite', store => {
+        const deleted = { result: false };
+        const request = store.getKey(label);
+        request.onsuccess = () => {
+            if (request.result !== undefined) {
+                deleted.result = true;
+                store.delete(label);
+            }
+        };
+        return deleted;
+    });
+}
+
+function broadcast(message) {
+    clientsList.forEach(client => {
+        client.postMessage(message);
+    });
+}
+
+/**
+ * Wraps a MessagePort-like target in the { id, postMessage } shape that
+ * service worker clients already have.
+ */
+function createEndpoint(target) {
+    return {
+        id: WORKER_SCOPE + '-' + nextEndpointId++,
+        postMessage: (message, transfer) => target.postMessage(message, transfer || [])
+    };
+}
+
+function forgetClient(client) {
+    clientsList = clientsList.filter(c => c !== client);
+    sessionDetectorOptions.delete(client.id);
+}
+
+/**
+ * Connects a page to the pipeline running in the same window (main-thread
+ * mode). `deliver(event)` receives every reply and broadcast as a
+ * MessageEvent-like `{ data }`, exactly what a worker would post.
+ * @returns {{postMessage: function(Object), close: function()}}
+ */
+function createInPageConnection(deliver) {
+    const client = createEndpoint({ postMessage: message => deliver({ data: message }) });
+    return {
+        postMessage: message => onClientMessage(client, message),
+        close: () => forgetClient(client)
+    };
+}
+
+async function onClientMessage(client, data) {
+    if (!clientsList.includes(client)) {
+        clientsList.push(client);
+    }
+
+    // requestId / frameSeq are opaque to the worker: they are echoed back untouched
+    // so the page can pair every reply with the request that produced it.
+    const { type, requestId, frameSeq } = data;
+    try {
+        await handleMessage(client, data);
+    } catch (err) {
+        console.error('Request failed:', type, err);
+        client.postMessage(toErrorReply(err, requestId, frameSeq));
+    }
+}
+
+async function handleMessage(client, data) {
+    const { type, requestId, frameSeq, width, height, images, face_detector_options, crop_options, detectors, modelUrl, modelUrls, modelIntegrity } = data;
+    const { label, descriptors, replace, captures } = data;
+    var identity;
+    const frame = { bitmap: data.bitmap, pixels: data.pixels, imageData: data.imageData };
+
+    var faces;
+    switch (type) {
+        case 'PING':
+            client.postMessage({ type: 'PONG', requestId, data: { scope: WORKER_SCOPE } });
+            break;
+        case 'LOAD_MODELS':
+            await pruneClients();
+            configureModelUrls(modelUrl, modelUrls, modelIntegrity);
+            await checkModelsLoaded(requestId, detectors);
+            break;
+        case 'SET_DETECTOR_OPTIONS':
+            sessionDetectorOptions.set(client.id, validateDetectorOptions(face_detector_options));
+            client.postMessage({
+                type: 'DETECTOR_OPTIONS_SET',
+                requestId,
+                data: { face_detector_options: resolveDetectorOptions(client.id) }
+            });
+            break;
+        case 'DETECT_FACES':
+            faces = await detectFaces(frame, width, height,
+                resolveDetectorOptions(client.id, face_detector_options), resolveCropOptions(crop_options));
+            client.postMessage({
+                type: 'DETECTION_RESULT',
+                requestId,
+                frameSeq,
+                data: {
+                    schemaVersion: RESULT_SCHEMA_VERSION,
+                    faces: faces,
+                    displaySize: { width, height }
+                }
+            });
+            break;
+        case 'WARMUP_FACES':
+            faces = await detectFaces(frame, width, height,
+                resolveDetectorOptions(client.id, face_detector_options), resolveCropOptions(crop_options));
+            client.postMessage({
+                type: 'WARMUP_RESULT',
+                requestId,
+                frameSeq,
+                data: {
+                    schemaVersion: RESULT_SCHEMA_VERSION,
+                    faces: faces,
+                    displaySize: { width, height }
+                }
+            });
+            break;
+        case 'COMPUTE_DESCRIPTOR':
+            // Still images (uploads, ID photos): every image gets its own faces list
+            client.postMessage({
+                type: 'DESCRIPTOR_RESULT',
+                requestId,
+                data: {
+                    schemaVersion: RESULT_SCHEMA_VERSION,
+                    images: await computeDescriptors(images,
+                        resolveDetectorOptions(client.id, face_detector_options), resolveCropOptions(crop_options))
+                }
+            });
+            break;
+        case 'ENROLL':
+            identity = identitySummary(await enrollIdentity(label, descriptors, replace === true, captures));
+            client.postMessage({ type: 'IDENTITY_ENROLLED', requestId, data: { identity } });
+            broadcast({ type: 'IDENTITIES_CHANGED', data: { label: identity.label } });
+            break;
+        case 'LIST_IDENTITIES':
+            client.postMessage({ type: 'IDENTITIES_LISTED', requestId, data: { identities: await listIdentities() } });
+            break;
+        case 'GET_IDENTITY':
+            client.postMessage({ type: 'IDENTITY', requestId, data: { identity: await getIdentity(label) } });
+            break;
+        case 'DELETE_IDENTITY':
+            identity = { label: validateIdentityLabel(label), deleted: await deleteIdentity(label) };
+            client.postMessage({ type: 'IDENTITY_DELETED', requestId, data: identity });
+            if (identity.deleted) {
+                broadcast({ type: 'IDENTITIES_CHANGED', data: { label: identity.label } });
+            }
+            break;
+        default:
+            throw new DetectionError(ERROR_CODES.UNKNOWN_MESSAGE, 'Unknown message type: ' + type);
+    }
+}
+
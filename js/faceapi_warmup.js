@@ -1,19 +1,19 @@
 /**
  * faceapi_warmup.js
  * ------------------
- * Helper utilities that sit on top of face-api.js + a Service Worker.
+ * Page layer for the demo pages, built on top of FaceApiClient (faceApiClient.js).
  * The script is responsible for:
- *   • Boot-strapping the Service Worker that loads the neural-network models in a
- *     separate thread (avoids blocking the main UI).
- *   • Handling camera start / stop, reading frames and forwarding them to the
- *     worker for inference.
+ *   • Creating the shared `faceapi_client` from the page's global settings
+ *     (faceapi_action, warmup_completed, face_detector_options_setup,
+ *     face_crop_options_setup, videoId …).
+ *   • Wiring camera start / stop and the video loop to the page's elements.
  *   • Drawing helper overlays: raw frame, bounding box, facial landmarks, etc.
- *   • Performing basic registration / verification logic using Euclidean
- *     distance between face descriptors.
+ *   • Turning finished registration / verification sessions into downloads
+ *     and alerts.
  *
- * NOTE: For brevity the implementation uses a bunch of global variables. If you
- * intend to maintain / extend the code consider wrapping it inside an IIFE or
- * converting it to an ES Module to avoid polluting the global scope.
+ * NOTE: The globals below are kept for the existing pages. New integrations
+ * should create their own FaceApiClient instead of setting globals – see the
+ * usage notes at the top of faceApiClient.js.
  */
 var videoId = "video";
 /**
@@ -31,13 +31,29 @@ var canvasOutputId = "canvas_output";
 var step_fps = 125 ; // 1000 / 125 = 8 FPS
 var vle_face_landmark_position_yn = "y" ; // y / n
 var vle_facebox_yn = "y" ; // y / n
+var vle_face_expression_yn = "y" ; // y / n – needs withExpressions: true in face_detector_options_setup
 
 
 var isWorkerReady = false;
-var worker = "";
-var serviceWorkerFileName = "faceDetectionServiceWorker.js";
+var faceapi_client = null;             // FaceApiClient created by initWorker()
 var serviceWorkerFilePath = "./js/faceDetectionServiceWorker.js";
+// Used by the main-thread fallback when no worker can run face-api
+var pipelineFilePath = "./js/faceDetectionPipeline.js";
+// "auto" falls back from the Service Worker to a SharedWorker, a dedicated Worker,
+// then main-thread inference
+var workerTransport = "auto";
 var imgFaceFilePathForWarmup = "./models/face_for_loading.png";
+/**
+ * Model location forwarded with LOAD_MODELS. `null` keeps the worker's default (./models).
+ * modelFileUrls overrides single nets, e.g. { faceRecognitionNet: "https://cdn.example.com/recognition/" }.
+ */
+var modelFileBaseUrl = null;
+var modelFileUrls = {};
+/**
+ * ID of an optional <progress> element updated while model weights download.
+ * @type {string}
+ */
+var modelProgressId = "model_progress";
 
 if(typeof face_detector_options_setup === "undefined" || face_detector_options_setup === "undefined"){
 	var face_detector_options_setup = {
@@ -47,27 +63,38 @@ if(typeof face_detector_options_setup === "undefined" || face_detector_options_s
 	};
 }
 
-var isDetectingFrame = false;          // Prevent overlapping detection requests
-var videoDetectionStep = null;         // Reference to the next frame callback
+if(typeof face_crop_options_setup === "undefined"){
+	// Empty: the worker's defaults apply (square crop, 25 % padding)
+	var face_crop_options_setup = {};
+}
+
+if(typeof face_capture_quality_setup === "undefined"){
+	// Empty: FaceApiClient.defaults.qualityThresholds apply
+	var face_capture_quality_setup = {};
+}
+
+if(typeof face_capture_diversity_setup === "undefined"){
+	// Empty: FaceApiClient.defaults.captureDiversity applies
+	var face_capture_diversity_setup = {};
+}
+/**
+ * ID of an optional element that tells the user why a registration capture was rejected.
+ * @type {string}
+ */
+var captureStatusId = "capture_status";
 
 async function camera_start() {
 	var video = document.getElementById(videoId);
 	try {
-		var stream = await navigator.mediaDevices.getUserMedia({ video: true });
-		video.srcObject = stream;
+		await faceapi_client.startCamera(video);
 	} catch (error) {
 		console.error('Error accessing webcam:', error);
 	}
 }
 
 async function camera_stop() {
-	var video = document.getElementById(videoId);
-	if (video.srcObject) {
-		const stream = video.srcObject;
-		const tracks = stream.getTracks();
-		tracks.forEach(track => track.stop());
-		video.srcObject = null;
-	}
+	faceapi_client.stopVideo();
+	faceapi_client.stopCamera(document.getElementById(videoId));
 }
 
 async function handleJsonFileInput(event) {
@@ -82,86 +109,166 @@ async function handleJsonFileInput(event) {
 	}
 }
 
-async function load_face_descriptor_json(warmupFaceDescriptorJson) {
+/**
+ * Registers from uploaded photos (e.g. ID pictures) instead of the camera:
+ * one descriptor per photo, taken from its largest face, downloaded as the
+ * same JSON as a camera enrollment (see faceapi_register).
+ */
+async function handlePhotoFileInput(event) {
+	const files = Array.from(event.target.files || []);
+	if (files.length === 0) {
+		return;
+	}
 	try {
-		console.log('warmupFaceDescriptorJson:');
-		console.log(warmupFaceDescriptorJson);
-		
-		const data = JSON.parse(warmupFaceDescriptorJson);
-		console.log('data:');
-		console.log(data);
-		//registeredDescriptors = Object.values(data).map(descriptor => new Float32Array(descriptor));
-		registeredDescriptors = Object.values(data).map(descriptor => {
-			if (Array.isArray(descriptor) || typeof descriptor === 'object' && descriptor !== null) {
-				return new Float32Array(Object.values(descriptor));
+		await faceapi_client.ready();
+		const result = await faceapi_client.computeDescriptors(files, { cropOptions: face_crop_options_setup });
+
+		var faces = [];
+		var rejected = [];
+		result.images.forEach(image => {
+			if (image.error) {
+				console.warn('Skipping ' + image.name + ': ' + image.error.message);
+			} else if (image.faces.length === 0) {
+				console.warn('Skipping ' + image.name + ': no face detected');
 			} else {
-				console.warn('Invalid descriptor format, expected an object or array:', descriptor);
-				return null;
+				var face = image.faces[faceapi_client.selectFace(image.faces, 'largest')];
+				face.quality = FaceApiClient.captureQuality(face, image.displaySize);
+				var problems = FaceApiClient.captureProblems(face.quality, faceapi_client.options.qualityThresholds);
+				if (problems.length > 0) {
+					rejected.push(image.name + ": " + problems.map(problem => problem.message).join(", "));
+				} else {
+					faces.push(face);
+				}
 			}
-		}).filter(descriptor => descriptor !== null);
-		
-		
-		console.log('registeredDescriptors:');
-		console.log(registeredDescriptors);
-		console.log('Default face descriptors loaded:', registeredDescriptors);
+		});
+		if (rejected.length > 0) {
+			console.warn('Rejected photos:\n' + rejected.join('\n'));
+		}
+		if (faces.length === 0) {
+			alert(rejected.length > 0 ? "No photo was good enough:\n" + rejected.join("\n") : "No face found in the selected photos");
+			return;
+		}
+		drawImageDataToCanvas(faces, canvasOutputId);
+
+		// The uploaded photos replace the camera session
+		faceapi_client.cancelAction('replaced by photo upload');
+		faceapi_register(faces.map(face => face.descriptor),
+			faces.map(face => ({ descriptor: face.descriptor, quality: face.quality, pose: face.pose || null, capturedAt: new Date().toISOString() })));
+	} catch (error) {
+		console.error('Error registering from photos:', error);
+		alert("Unable to register from the selected photos");
+	} finally {
+		event.target.value = "";
+	}
+}
+
+/**
+ * Loads a labeled gallery (faceapi_gallery.json from face_enroll_batch.html)
+ * for identify mode and starts the camera with identification.
+ */
+async function handleGalleryFileInput(event) {
+	const file = event.target.files[0];
+	if (!file) {
+		return;
+	}
+	try {
+		registeredGallery = FaceApiClient.toLabeledDescriptors(JSON.parse(await file.text()));
+		console.log('Gallery loaded:', registeredGallery.map(entry => entry.label));
+		video_face_detection();
+	} catch (error) {
+		console.error('Error loading face gallery:', error);
+		alert("Invalid gallery file: " + error.message);
+	}
+}
+
+async function load_face_descriptor_json(warmupFaceDescriptorJson) {
+	try {
+		let data = JSON.parse(warmupFaceDescriptorJson);
+		if (FaceApiClient.isEncryptedContainer(data)) {
+			data = await FaceApiClient.decryptJson(data, get_descriptor_passphrase(true));
+		}
+		// Versioned envelope or a legacy array of descriptors
+		const descriptorFile = FaceApiClient.parseDescriptorFile(data);
+		registeredDescriptors = descriptorFile.descriptors;
+		registeredCaptures = descriptorFile.captures;
+		console.log('Descriptor file schema ' + descriptorFile.schemaVersion +
+			(descriptorFile.label ? ' for ' + descriptorFile.label : '') +
+			(descriptorFile.createdAt ? ', created ' + descriptorFile.createdAt : ''), descriptorFile.model || '');
 		
 		/** Start Camera and Detection [start] **/
-		camera_start();
+		verificationCompleted = false;
 		video_face_detection();
 		/** Start Camera and Detection [end  ] **/
 		
 	} catch (error) {
 		console.error('Error loading default face descriptors:', error);
+		if (error instanceof FaceApiError) {
+			alert(error.message);
+		}
 	}
 }
 
 /**
- * Continuously captures video frames and sends them to the service worker for face detection.
- * Draws the raw frame into the hidden canvas (canvasId) for inference.
+ * Passphrase for encrypted descriptor files, from the page's
+ * `descriptorPassphraseId` input. With `ask`, an empty field falls back to a
+ * prompt (used when an encrypted file is opened).
+ * @returns {string} "" when no passphrase was given
+ */
+function get_descriptor_passphrase(ask) {
+	var input = document.getElementById(descriptorPassphraseId);
+	var passphrase = input ? input.value : "";
+	if (!passphrase && ask) {
+		passphrase = window.prompt("This descriptor file is encrypted. Passphrase:") || "";
+	}
+	return passphrase;
+}
+
+/**
+ * Downloads a descriptor file (FaceApiClient#createDescriptorFile) – encrypted
+ * with the page's passphrase when one is set (see FaceApiClient.encryptJson),
+ * plain JSON otherwise.
+ */
+async function download_descriptors(descriptorFile) {
+	var passphrase = get_descriptor_passphrase(false);
+	if (passphrase) {
+		download_json(await FaceApiClient.encryptJson(descriptorFile, passphrase), 'faceapi_get_face_id_descriptors.enc.json');
+	} else {
+		download_json(descriptorFile, 'faceapi_get_face_id_descriptors.json');
+	}
+}
+
+/**
+ * Starts the client's video loop on the page's video element and, depending on
+ * `faceapi_action`, a registration or verification session on top of it.
+ * Results are drawn by the client's `detection` listener (see bind_client_events).
  */
 function video_face_detection() {
 	var video = document.getElementById(videoId);
-	var canvas = document.getElementById(canvasId);
-	canvas.willReadFrequently = true; 
-	var context = canvas.getContext("2d");
-	context.willReadFrequently = true; 
-	
-	video.addEventListener('play', () => {
-		canvas.width = video.videoWidth;
-		canvas.height = video.videoHeight;
-		function step() {
-			// Skip processing if video is paused/ended or a detection is already running
-			if (video.paused || video.ended) {
-				return;
-			}
-			if (isDetectingFrame) {
-				// Wait until the previous detection result returns
-				requestAnimationFrame(step);
-				return;
-			}
+	faceapi_client.startVideo(video)
+		.catch(err => console.error('Unable to start video detection:', err));
+	start_face_action();
+}
 
-			// Capture current frame
-			context.drawImage(video, 0, 0, canvas.width, canvas.height);
-			const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-
-			// Mark a detection in-flight and send the frame to the worker
-			isDetectingFrame = true;
-			worker.postMessage({
-				type: 'DETECT_FACES',
-				imageData,
-				width: canvas.width,
-				height: canvas.height,
-				face_detector_options: face_detector_options_setup,
-			});
-
-			// Schedule the next frame – this will be skipped if detection is still running
-			// Next frame will be scheduled when the worker returns the detection result
-		}
+function start_face_action() {
+	if (typeof faceapi_action === "undefined" || !faceapi_action) {
+		return;
+	}
+	if (faceapi_action == "register" && !registrationCompleted && vle_guided_enrollment_yn == "y") {
+		faceapi_client.registerPoses().then(faceapi_register, ignore_superseded_action);
+	} else if (faceapi_action == "register" && !registrationCompleted) {
+		faceapi_client.register({ maxCaptures: maxCaptures }).then(faceapi_register, ignore_superseded_action);
+	} else if (faceapi_action == "verify" && !verificationCompleted) {
+		faceapi_client.verify(registeredDescriptors, { threshold: vle_distance_rate }).then(faceapi_verify, ignore_superseded_action);
+	} else if (faceapi_action == "identify" && registeredGallery) {
+		// Runs until the page stops it; results arrive through the 'identified' event
+		faceapi_client.identify(registeredGallery, { threshold: vle_identify_distance_rate }).catch(ignore_superseded_action);
+	}
+}
 
-		// Store reference so we can trigger a new cycle from the worker callback
-		videoDetectionStep = step;
-		requestAnimationFrame(step);
-	});
+function ignore_superseded_action(err) {
+	if (err.name !== 'AbortError') {
+		console.error(err);
+	}
 }
 			
 async function unregisterAllServiceWorker() {
@@ -173,40 +280,37 @@ async function unregisterAllServiceWorker() {
 }
 
 /**
- * Draws the captured face image and confidence percentage onto the snapshot canvas (canvasOutputId).
- * @param {Array} detections - Array containing face detection results and raw ImageData.
+ * Draws the captured face images side by side, each with its confidence percentage,
+ * onto the snapshot canvas (canvasOutputId).
+ * @param {Array<Object>} faces - `result.faces` of a detection result.
  * @param {string} canvasId - ID of the canvas to draw the snapshot on.
  */
-async function drawImageDataToCanvas(detections, canvasId) {
+async function drawImageDataToCanvas(faces, canvasId) {
     var canvas = document.getElementById(canvasId);
     var context = canvas.getContext("2d");
 
     // Check if detections have faces
-    if (Array.isArray(detections) && detections.length > 0) {
-        const imageData = detections[1][0]; // Assuming imageData is part of detections
-		var confidence = 0;
-		
-		if (detections.length > 0 && detections[0].length > 0) {
-			if(detections[0][0].detection._score !== "undefined"){
-				confidence = detections[0][0].detection._score;
-			}
-			if(confidence != 0){
-				confidence = confidence * 100;
-			}
-		}
-		console.log(confidence);
+    if (Array.isArray(faces) && faces.length > 0) {
+        const imageDatas = faces.map(face => face.crop.imageData);
 
-        // Set canvas dimensions to match the imageData
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
+        // Size the canvas to hold every crop in a single row
+        canvas.width = imageDatas.reduce((sum, imageData) => sum + imageData.width, 0);
+        canvas.height = Math.max(...imageDatas.map(imageData => imageData.height));
 
-        // Draw the first ImageData onto the canvas at position (0, 0)
-        context.putImageData(imageData, 0, 0);
-		
-		// Display confidence percentage
-        context.font = '20px Arial';
-        context.fillStyle = 'white'; // Color for text
-        context.fillText(`Confidence: ${confidence.toFixed(2)}%`, 10, 30); // Fixed to 2 decimal places
+        var offsetX = 0;
+        imageDatas.forEach((imageData, index) => {
+            var confidence = faces[index].score * 100;
+
+            context.putImageData(imageData, offsetX, 0);
+
+            // Display confidence percentage
+            context.font = '20px Arial';
+            context.fillStyle = 'white'; // Color for text
+            var label = imageDatas.length > 1 ? `Face ${index + 1}: ` : 'Confidence: ';
+            context.fillText(`${label}${confidence.toFixed(2)}%`, offsetX + 10, 30); // Fixed to 2 decimal places
+
+            offsetX += imageData.width;
+        });
 
     } else {
         console.log('No image data to draw');
@@ -220,51 +324,74 @@ async function drawImageDataToCanvas(detections, canvasId) {
  *   #canvas_output – snapshot canvas showing captured face image with confidence.
  *
  * Canvas Functions:
- *   video_face_detection    – continuously grabs video frames and sends to service worker for detection.
+ *   video_face_detection    – starts the client's video loop (frames are sent to the service worker for detection).
  *   drawImageDataToCanvas   – displays the detected-face snapshot and confidence on #canvas_output.
  *   drawLandmarks           – draws mirrored landmark points on #canvas2 overlay.
  *   draw_face_box           – draws mirrored face bounding box and upright confidence text on #canvas3 overlay.
+ *   draw_face_expression    – draws the dominant expression under the face box on #canvas3 overlay.
  *   draw_face_landmarks     – draws detailed mirrored landmark shapes on #canvas2 overlay.
  */
 
 /**
  * Draws mirrored facial landmark dots onto the landmarks overlay canvas (canvasId2).
- * @param {Array<{ x: number, y: number }>} landmarks - Array of landmark point coordinates.
+ * @param {Array<Object>} faces - `result.faces` of a detection result.
  */
-function drawLandmarks(landmarks) {
+function drawLandmarks(faces) {
     // Legacy stub: forward to full spline glow style
-    draw_face_landmarks();
+    draw_face_landmarks(faces);
 }
 
 /**
  * Draws a mirrored face bounding box and confidence percentage onto the bounding box overlay canvas (canvasId3).
  * @param {string} canvas_id - ID of the canvas to draw the bounding box.
- * @param {Object} box - Bounding box object with _x, _y, _width, and _height properties.
+ * @param {{x: number, y: number, width: number, height: number}} box - Face box in video pixels.
  * @param {number} confidence - Confidence score (0 to 1) of the face detection.
+ * @param {boolean} [clear=true] - Clear the overlay first; pass false to add a box for another face.
  */
-function draw_face_box(canvas_id, box, confidence) {
+function draw_face_box(canvas_id, box, confidence, clear = true) {
     const canvas = document.getElementById(canvas_id);
     const ctx = canvas.getContext('2d');
-    const video = document.getElementById(videoId);
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-    canvas.style.display = 'block';
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    const mx = canvas.width - box._x - box._width;
-    const my = box._y;
+    if (clear) {
+        const video = document.getElementById(videoId);
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.style.display = 'block';
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+    const mx = canvas.width - box.x - box.width;
+    const my = box.y;
     let boxColor = 'red';
     if (confidence >= 0.8) boxColor = 'green'; else if (confidence >= 0.5) boxColor = 'yellow';
-    ctx.beginPath(); ctx.rect(mx, my, box._width, box._height);
+    ctx.beginPath(); ctx.rect(mx, my, box.width, box.height);
     ctx.lineWidth = 3; ctx.strokeStyle = boxColor; ctx.stroke();
     ctx.font = '16px Arial'; ctx.fillStyle = boxColor;
     ctx.textAlign = 'right'; ctx.textBaseline = 'bottom';
-    ctx.fillText(`${Math.round(confidence * 100)}%`, mx + box._width - 5, my - 10);
+    ctx.fillText(`${Math.round(confidence * 100)}%`, mx + box.width - 5, my - 10);
+}
+
+/**
+ * Draws the dominant expression and its probability under a face box on the bounding box
+ * overlay canvas (canvasId3). Call after draw_face_box – the canvas is not cleared.
+ * @param {string} canvas_id - ID of the canvas the box was drawn on.
+ * @param {{x: number, y: number, width: number, height: number}} box - Face box in video pixels.
+ * @param {Object<string, number>} expressions - Expression probabilities of the face.
+ */
+function draw_face_expression(canvas_id, box, expressions) {
+    const dominant = FaceApiClient.dominantExpression(expressions);
+    if (!dominant) return;
+    const canvas = document.getElementById(canvas_id);
+    const ctx = canvas.getContext('2d');
+    const mx = canvas.width - box.x - box.width;
+    ctx.font = '16px Arial'; ctx.fillStyle = '#007ACC';
+    ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+    ctx.fillText(`${dominant.expression} ${Math.round(dominant.probability * 100)}%`, mx + 5, box.y + box.height + 5);
 }
 
 /**
  * Draws detailed facial landmarks with optional connecting lines onto the landmarks overlay canvas (canvasId2).
+ * @param {Array<Object>} faces - `result.faces` of a detection result.
  */
-function draw_face_landmarks() {
+function draw_face_landmarks(faces) {
     const video = document.getElementById(videoId);
     const canvas = document.getElementById(canvasId2);
     const ctx = canvas.getContext('2d');
@@ -273,10 +400,19 @@ function draw_face_landmarks() {
     canvas.height = video.videoHeight;
     const width = canvas.width;
     const height = canvas.height;
-    // Extract and mirror landmark positions
-    const raw = event.data.data.detections[0][0].landmarks._positions;
-    const pts = raw.map(pt => ({ x: width - pt._x, y: pt._y }));
     ctx.clearRect(0, 0, width, height);
+    faces.forEach(face => draw_single_face_landmarks(ctx, width, face.landmarks.positions));
+}
+
+/**
+ * Draws one face's 68 landmarks (mirrored) with its feature outlines.
+ * @param {CanvasRenderingContext2D} ctx - Context of the landmarks overlay canvas.
+ * @param {number} width - Canvas width, used to mirror x coordinates.
+ * @param {Array<{x: number, y: number}>} raw - The 68 landmark positions of the face.
+ */
+function draw_single_face_landmarks(ctx, width, raw) {
+    // Mirror landmark positions
+    const pts = raw.map(pt => ({ x: width - pt.x, y: pt.y }));
     // Draw each landmark as a small white circle with corporate-blue outline
     ctx.fillStyle = '#ffffff';
     ctx.strokeStyle = '#007ACC';
@@ -315,49 +451,230 @@ function draw_face_landmarks() {
 
 var registeredDescriptors = [];
 var maxCaptures = 3;
+// "y": registration walks through FaceApiClient.POSE_STEPS (one capture per pose) instead of maxCaptures frames
+var vle_guided_enrollment_yn = "n"; // y / n
+// Optional elements showing the current pose step and how long it has been held
+var posePromptId = "pose_prompt";
+var poseHoldId = "pose_hold";
 var registrationCompleted = false;
 var verificationCompleted = false;
 
-function faceapi_register(descriptor) {
-    if (descriptor && !registrationCompleted) {
-        registeredDescriptors.push(descriptor);
-
-        if (registeredDescriptors.length >= maxCaptures) {
-            faceapi_get_face_id_descriptors = registeredDescriptors;
-            
-            alert("Registration completed");
-            registrationCompleted = true;
-            faceapi_action = null;
-            camera_stop();
-
-            // Convert the descriptors array to a JSON string
-            const jsonData = JSON.stringify(faceapi_get_face_id_descriptors, null, 2);
-            
-            // Create a Blob with the JSON data and set its MIME type to 'application/json'
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            
-            // Create an object URL for the Blob
-            const url = URL.createObjectURL(blob);
-            
-            // Create a download link
-            const downloadLink = document.createElement('a');
-            downloadLink.href = url;
-            downloadLink.download = 'faceapi_get_face_id_descriptors.json';
-            downloadLink.textContent = 'Download Descriptors JSON';
-
-            // Append the link to the document body or any appropriate container
-            document.body.appendChild(downloadLink);
-
-            // Optionally trigger the download automatically
-            downloadLink.click();
-
-            // Clean up by revoking the object URL and removing the download link
-            URL.revokeObjectURL(url);
-            document.body.removeChild(downloadLink);
+/**
+ * Identity store: the register page enrolls under the label typed into
+ * `identityLabelId`; the verify page lists identities in `identitySelectId`.
+ * The JSON download is only forced when nothing could be stored, unless
+ * `vle_download_descriptors_yn` is "y".
+ */
+var identityLabelId = "identity_label";
+var identitySelectId = "identity_select";
+var vle_download_descriptors_yn = "n"; // y / n
+/**
+ * ID of an optional password input: descriptor downloads are encrypted with
+ * it, and encrypted files opened on the verify page are decrypted with it.
+ * @type {string}
+ */
+var descriptorPassphraseId = "descriptor_passphrase";
+
+// Captures behind registeredDescriptors (descriptor, quality, pose, poseLabel): set by the
+// 'registered' event, a loaded descriptor file or an identity picked from the store
+var registeredCaptures = [];
+
+/**
+ * Called when the client's register() session has collected `maxCaptures`
+ * descriptors: stops the camera and enrolls them in the worker's identity
+ * store, falling back to a versioned descriptor file download.
+ * @param {number[][]} descriptors
+ * @param {Array<Object>} [captures] - descriptors with their quality; defaults
+ *        to the camera session's `registeredCaptures`.
+ */
+async function faceapi_register(descriptors, captures) {
+    if (!captures || captures.length !== descriptors.length) {
+        captures = registeredCaptures.length === descriptors.length ? registeredCaptures : descriptors;
+    }
+    registeredDescriptors = descriptors;
+    faceapi_get_face_id_descriptors = registeredDescriptors;
+
+    registrationCompleted = true;
+    faceapi_action = null;
+    camera_stop();
+
+    var label_input = document.getElementById(identityLabelId);
+    var label = label_input ? label_input.value.trim() : "";
+    var stored = false;
+    if (label) {
+        try {
+            // Captures keep each descriptor's pose label and quality in the store
+            const result = await faceapi_client.enroll(label, captures);
+            stored = true;
+            alert("Registration completed: " + label + " (" + result.identity.descriptorCount + " descriptors)");
+        } catch (error) {
+            console.error('Unable to store identity ' + label + ':', error);
+        }
+    }
+    if (!stored) {
+        alert("Registration completed");
+    }
+    if (!stored || vle_download_descriptors_yn == "y") {
+        try {
+            await download_descriptors(faceapi_client.createDescriptorFile(captures, { label: label || null }));
+        } catch (error) {
+            console.error('Unable to export descriptors:', error);
+            alert("Unable to export descriptors: " + error.message);
         }
     }
 }
 
+/**
+ * Fills the identity <select> of the verify page from the worker's store.
+ * Runs after warm-up and whenever another tab enrolls or deletes an identity.
+ */
+async function load_identity_list() {
+	var select = document.getElementById(identitySelectId);
+	if (!select) {
+		return;
+	}
+	try {
+		const result = await faceapi_client.listIdentities();
+		var current = select.value;
+		select.innerHTML = '<option value="">Select an enrolled identity…</option>';
+		result.identities.forEach(identity => {
+			var option = document.createElement("option");
+			option.value = identity.label;
+			option.textContent = identity.label + " (" + identity.descriptorCount + ")";
+			select.appendChild(option);
+		});
+		select.value = current;
+	} catch (error) {
+		console.error('Unable to list identities:', error);
+	}
+}
+
+/**
+ * Verifies against the identity chosen in the verify page's <select>.
+ */
+async function handleIdentitySelect(event) {
+	var label = event.target.value;
+	if (!label) {
+		return;
+	}
+	try {
+		const result = await faceapi_client.getIdentity(label);
+		registeredDescriptors = result.identity.descriptors.map(descriptor => new Float32Array(descriptor));
+		registeredCaptures = result.identity.captures || [];
+		verificationCompleted = false;
+		video_face_detection();
+	} catch (error) {
+		console.error('Unable to load identity ' + label + ':', error);
+		alert("Unable to load " + label + ": " + error.message);
+	}
+}
+
+/**
+ * Offers `data` as a pretty-printed JSON file download.
+ * @param {*} data
+ * @param {string} fileName
+ */
+function download_json(data, fileName) {
+    // Convert the data to a JSON string
+    const jsonData = JSON.stringify(data, null, 2);
+
+    // Create a Blob with the JSON data and set its MIME type to 'application/json'
+    const blob = new Blob([jsonData], { type: 'application/json' });
+
+    // Create an object URL for the Blob
+    const url = URL.createObjectURL(blob);
+
+    // Create a download link
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+    downloadLink.textContent = 'Download ' + fileName;
+
+    // Append the link to the document body or any appropriate container
+    document.body.appendChild(downloadLink);
+
+    // Optionally trigger the download automatically
+    downloadLink.click();
+
+    // Clean up by revoking the object URL and removing the download link
+    URL.revokeObjectURL(url);
+    document.body.removeChild(downloadLink);
+}
+
+/**
+ * Batch enrollment (face_enroll_batch.html): a photo is only enrolled when its
+ * single face scores at least `vle_gallery_min_score`.
+ */
+var vle_gallery_min_score = 0.8;
+var galleryProgressId = "gallery_progress";
+var galleryReportId = "gallery_report";
+
+/**
+ * Enrolls a folder picked with `<input webkitdirectory>` (label/photo.jpg)
+ * and downloads the LabeledFaceDescriptors gallery as faceapi_gallery.json.
+ * Photos that were not enrolled are listed in the report table.
+ */
+async function handleFolderInput(event) {
+	const files = Array.from(event.target.files || []);
+	if (files.length === 0) {
+		return;
+	}
+	try {
+		await faceapi_client.ready();
+		const result = await faceapi_client.buildGallery(files, {
+			minScore: vle_gallery_min_score,
+			cropOptions: face_crop_options_setup,
+		});
+		draw_gallery_report(galleryReportId, result.report);
+
+		const enrolled = result.report.filter(entry => entry.ok).length;
+		if (result.gallery.length > 0) {
+			download_json(result.gallery, 'faceapi_gallery.json');
+		}
+		alert("Enrolled " + enrolled + " of " + files.length + " photos into " + result.gallery.length + " labels");
+	} catch (error) {
+		console.error('Error enrolling folder:', error);
+		alert("Batch enrollment failed: " + error.message);
+	} finally {
+		event.target.value = "";
+	}
+}
+
+/**
+ * Fills the table `report_id` with one row per photo that was not enrolled.
+ * @param {string} report_id
+ * @param {Array<Object>} report - `report` of FaceApiClient#buildGallery.
+ */
+function draw_gallery_report(report_id, report) {
+	var table = document.getElementById(report_id);
+	if (!table) {
+		return;
+	}
+	var body = table.tBodies[0] || table.createTBody();
+	body.innerHTML = "";
+	report.filter(entry => !entry.ok).forEach(entry => {
+		var row = body.insertRow();
+		row.insertCell().textContent = entry.file;
+		row.insertCell().textContent = entry.label || "";
+		row.insertCell().textContent = entry.reason;
+		var detail = entry.message || "";
+		if (entry.reason === "MULTIPLE_FACES") {
+			detail = entry.faceCount + " faces";
+		} else if (entry.reason === "LOW_SCORE") {
+			detail = "score " + entry.score.toFixed(2);
+		}
+		row.insertCell().textContent = detail;
+	});
+	table.style.display = body.rows.length > 0 ? "table" : "none";
+}
+
+/**
+ * Identify mode (face_identify.html): labeled gallery and the distance at or
+ * above which a face is reported as "unknown".
+ */
+var registeredGallery = null;
+var vle_identify_distance_rate = 0.45;
+
 var vle_distance_rate = 0.3;
 
 /**
@@ -368,286 +685,239 @@ var vle_distance_rate = 0.3;
  * more false negatives). 0.3 is a commonly used starting point that works
  * well in good lighting conditions. Adjust empirically for your setup.
  */
-function faceapi_verify(descriptor){
+function faceapi_verify(match){
 	/**
-	 * Compares the descriptor extracted from the current video frame against all
-	 * previously registered descriptors and determines whether the face belongs
-	 * to the registered person.
+	 * Called when the client's verify() session found a frame whose descriptor
+	 * is closer than `vle_distance_rate` to one of `registeredDescriptors`.
+	 * The session runs only once – `verificationCompleted` stops it from being
+	 * restarted until a new descriptor file is loaded.
 	 *
-	 * The comparison uses the Euclidean distance provided by face-api.js. If any
-	 * distance is below `vle_distance_rate` we treat it as a match. The routine
-	 * runs only once per verification session – after a positive result the
-	 * `verificationCompleted` flag is set so we do not re-enter.
-	 *
-	 * @param {Float32Array} descriptor – Descriptor returned by face-api.js for
-	 *        the face detected in the current frame (128-length vector).
+	 * @param {{descriptor: number[], distance: number, registeredIndex: number}} match
 	 */
-	// multiple [start]
-	if (descriptor && !verificationCompleted) {
-		let matchFound = false;
-		let distance;
-		
-		for (let i = 0; i < registeredDescriptors.length; i++) {
-		console.log("--descriptor.length "+descriptor.length);
-		console.log("--registeredDescriptors[i].length "+registeredDescriptors[i].length);
-			if (descriptor.length === registeredDescriptors[i].length) {
-				distance = faceapi.euclideanDistance(descriptor, registeredDescriptors[i]);
-				
-				console.log("--distance "+distance);
-				if (distance < vle_distance_rate) {
-					matchFound = true;
-					break;
-				}
-			}
-		}
-		
-		if (matchFound) {
-			camera_stop();
-			verificationCompleted = true;
-			faceapi_action = null;
-			alert("Face Verified: Same Person, distance : " + distance);
-		} else {
-			// The current descriptor did not match any reference. In production you might
-			// want to provide user feedback here (e.g., shake animation, sound, etc.) or
-			// count failed attempts before locking the flow.
-		}
+	camera_stop();
+	verificationCompleted = true;
+	faceapi_action = null;
+	// Guided registrations tell which pose the live face matched
+	var capture = registeredCaptures[match.registeredIndex];
+	var pose = capture && capture.poseLabel ? ", pose : " + capture.poseLabel : "";
+	alert("Face Verified: Same Person, distance : " + match.distance + pose);
+}
+
+/**
+ * Draws the identified label (green) or "unknown" (red) with its distance, and
+ * the runner-up, under the face box on the bounding box overlay canvas.
+ */
+function draw_face_identity(canvas_id, match) {
+    const canvas = document.getElementById(canvas_id);
+    const ctx = canvas.getContext('2d');
+    const box = match.box;
+    const mx = canvas.width - box.x - box.width;
+    let text = `${match.label} (${match.distance.toFixed(2)})`;
+    if (match.runnerUp) {
+        text += ` · ${match.runnerUp.label} (${match.runnerUp.distance.toFixed(2)})`;
+    }
+    ctx.font = '16px Arial'; ctx.fillStyle = match.label === 'unknown' ? '#D32F2F' : '#388E3C';
+    ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+    ctx.fillText(text, mx + 5, box.y + box.height + 25);
+}
+
+/**
+ * Updates the model loading bar (if the page has one) from a `model-progress` event.
+ * @param {string} progress_id - ID of the <progress> element.
+ * @param {{net: string, overallLoadedBytes: number, overallTotalBytes: number}} progress
+ */
+function draw_model_progress(progress_id, progress) {
+	var progress_bar = document.getElementById(progress_id);
+	if (!progress_bar) {
+		return;
 	}
-	// multiple [end  ]
-}
-
-async function initWorkerAddEventListener() {
-	navigator.serviceWorker.addEventListener('message', (event) => {
-		console.log('event.data.type.');
-		console.log(event.data.type);
-		switch (event.data.type) {
-			case 'MODELS_LOADED':
-			console.log('Face detection models loaded.');
-			faceapi_warmup();
-			break;
-			case 'DETECTION_RESULT':
-			console.log("DETECTION_RESULT here");
-			console.log(event);
-			console.log(event.data.data.detections[0]);
-			console.log("event.data.data.detections");
-			console.log(event.data.data.detections);
-			
-			
-			if(event.data.data.detections[0] !== null){
-				if(typeof event.data.data.detections[0][0]["descriptor"] !== "undefined"){
-					console.log("descriptor : ");
-					console.log(event.data.data.detections[0][0]["descriptor"]);
-					var temp_descriptor = event.data.data.detections[0][0]["descriptor"];
-					
-					if(faceapi_action == "verify"){
-						faceapi_verify(temp_descriptor);
-					}else if(faceapi_action == "register"){
-						faceapi_register(temp_descriptor);
-					}else{
-						console.log("faceapi_action is NULL");
-					}
-					
-					
+	progress_bar.style.display = "block";
+	progress_bar.max = progress.overallTotalBytes;
+	progress_bar.value = progress.overallLoadedBytes;
+	progress_bar.title = "Loading " + progress.net + " (" + Math.round(progress.overallLoadedBytes / 1024) + " / " + Math.round(progress.overallTotalBytes / 1024) + " KB)";
+}
+
+/**
+ * Writes `text` into the optional registration status element (captureStatusId):
+ * why a capture was rejected, how many were taken, or what to change.
+ */
+function draw_capture_status(text) {
+	var status = document.getElementById(captureStatusId);
+	if (status) {
+		status.textContent = text;
+	}
+}
+
+/**
+ * Shows the current step of a guided registration: its prompt in posePromptId,
+ * the hold time in the poseHoldId <progress> and what to change in captureStatusId.
+ */
+function draw_pose_progress(progress) {
+	var prompt = document.getElementById(posePromptId);
+	if (prompt) {
+		prompt.textContent = "Step " + (progress.stepIndex + 1) + " / " + progress.stepCount + ": " + progress.prompt;
+	}
+	var hold = document.getElementById(poseHoldId);
+	if (hold) {
+		hold.style.display = "block";
+		hold.max = 1;
+		hold.value = progress.held;
+	}
+	draw_capture_status(progress.hint || (progress.inPose ? "Hold still…" : ""));
+}
+
+/**
+ * Subscribes the page's overlays to the client's detection stream.
+ * @param {FaceApiClient} client
+ */
+function bind_client_events(client) {
+	client.on('detection', (result) => {
+		console.log("detection", result.frameSeq);
+		var faces = result.faces;
+
+		if (faces.length > 0) {
+			try{drawImageDataToCanvas(faces, canvasOutputId);}catch(err){console.log(err);}
+		}
+
+		if(typeof vle_face_landmark_position_yn === "string"){
+			if(vle_face_landmark_position_yn == "y"){
+				var temp_canvas = document.getElementById(canvasId2);
+				if (faces.length > 0) {
+					draw_face_landmarks(faces);
+				}else{
+					temp_canvas.style.display = "none";
 				}
-				try{drawImageDataToCanvas(event.data.data.detections, canvasOutputId);}catch(err){console.log(err);}
 			}
-			
-			if(typeof vle_face_landmark_position_yn === "string"){
-				if(vle_face_landmark_position_yn == "y"){
-					
-					var temp_canvas_id = canvasId2;
-					var temp_canvas = document.getElementById(temp_canvas_id);
-					
-					if (event.data.data.detections[0] !== null) {
-						console.log("drawFaceLandmarks");
-						draw_face_landmarks();
-					}else{
-						temp_canvas.style.display = "none";
-					}
-				}	
-			}
-			
-			
-			if(typeof vle_facebox_yn === "string"){
-				if(vle_facebox_yn == "y"){
-					var temp_canvas_id = canvasId3;
-					var temp_canvas = document.getElementById(temp_canvas_id);
-					if (event.data.data.detections[0] !== null) {
-						// facebox
-						console.log("draw_face_box");
-						if (event.data.data.detections[0] && event.data.data.detections[0] !== undefined) {
-							var box = event.data.data.detections[0][0].alignedRect._box;
-							var confidence = event.data.data.detections[0][0].detection._score;
-
-							// Check if box is defined and not null
-							if (box && box._x !== undefined && box._y !== undefined && box._width !== undefined && box._height !== undefined) {
-								// Safe to call the function as box is valid
-								draw_face_box(temp_canvas_id, box, confidence);
-							} else {
-								console.log("Box is not defined or invalid");
-							}
+		}
+
+		if(typeof vle_facebox_yn === "string"){
+			if(vle_facebox_yn == "y"){
+				var temp_canvas_id = canvasId3;
+				var temp_canvas = document.getElementById(temp_canvas_id);
+				if (faces.length > 0) {
+					faces.forEach((face, index) => {
+						draw_face_box(temp_canvas_id, face.alignedBox, face.score, index === 0);
+						if (vle_face_expression_yn == "y" && face.expressions) {
+							draw_face_expression(temp_canvas_id, face.alignedBox, face.expressions);
 						}
-					}else{
-						temp_canvas.style.display = "none";
-					}
-				}
-			}
-			
-			
-			// After all drawing operations are complete, mark detection as done and queue the next frame.
-			isDetectingFrame = false;
-			if (typeof videoDetectionStep === 'function') {
-				requestAnimationFrame(videoDetectionStep);
-			}
-			
-			break;
-			case 'WARMUP_RESULT':
-			console.log('WARMUP_RESULT.');
-			console.log(event);
-			console.log(event.data.data.detections);
-			
-			if (typeof warmup_completed !== 'undefined') {
-				// Execute all functions in the array
-				if (warmup_completed.length > 0) {
-					warmup_completed.forEach(func => func());
+					});
+				}else{
+					temp_canvas.style.display = "none";
 				}
-			}else{
-				setTimeout(faceapi_warmup, 10000);
 			}
-			
-			break;
-			default:
-			console.log('Unknown message type:', event.data.type);
 		}
 	});
-}
-
-async function workerRegistration() {
-	if (!('serviceWorker' in navigator)) {
-		console.error('Service workers are not supported in this browser.');
-		return;
-	}
 
-	// Ensure the scope of the SW covers the current page (script directory by default)
-	const swScope = './js/';
+	client.on('transport', (transport) => {
+		console.log("Face detection worker running as " + transport.kind);
+	});
 
-	// Attempt to find an existing registration for our SW file within scope
-	const registrations = await navigator.serviceWorker.getRegistrations();
-	let registration = registrations.find(reg => reg.active && reg.active.scriptURL.endsWith(serviceWorkerFileName));
+	client.on('model-progress', (progress) => {
+		draw_model_progress(modelProgressId, progress);
+	});
 
-	if (!registration) {
-		console.log('Registering new service worker');
-		try {
-			registration = await navigator.serviceWorker.register(serviceWorkerFilePath, { scope: swScope });
-		} catch (err) {
-			console.error('Service worker registration failed:', err);
-			throw err;
+	client.on('models-loaded', () => {
+		var progress_bar = document.getElementById(modelProgressId);
+		if (progress_bar) {
+			progress_bar.style.display = "none";
 		}
-	}
+	});
 
-	// Wait until the service worker is activated. Avoid using navigator.serviceWorker.ready
-	if (!registration.active) {
-		console.log('Waiting for service worker to activate...');
+	client.on('identities-changed', () => {
+		load_identity_list();
+	});
 
-		await new Promise(resolve => {
-			// If there is an installing worker listen for state changes
-			const installingWorker = registration.installing || registration.waiting;
-			if (!installingWorker) {
-				// No worker yet (very unlikely) – resolve immediately
-				return resolve();
-			}
+	client.on('identified', (identification) => {
+		if (vle_facebox_yn == "y") {
+			identification.matches.forEach(match => draw_face_identity(canvasId3, match));
+		}
+	});
 
-			if (installingWorker.state === 'activated') {
-				return resolve();
-			}
+	client.on('gallery-progress', (progress) => {
+		var progress_bar = document.getElementById(galleryProgressId);
+		if (progress_bar) {
+			progress_bar.style.display = progress.done < progress.total ? "block" : "none";
+			progress_bar.max = progress.total;
+			progress_bar.value = progress.done;
+			progress_bar.title = progress.done + " / " + progress.total + ": " + progress.entry.file;
+		}
+	});
 
-			installingWorker.addEventListener('statechange', evt => {
-				if (evt.target.state === 'activated') {
-					resolve();
-				}
-			});
-		});
-	}
+	client.on('registered', (registration) => {
+		registeredCaptures = registration.captures;
+		var hold = document.getElementById(poseHoldId);
+		if (hold) {
+			hold.style.display = "none";
+		}
+	});
 
-	// After activation grab the worker reference
-	worker = registration.active || registration.waiting || registration.installing;
-	return worker;
-}
+	client.on('capture', (capture) => {
+		console.log("Captured descriptor " + capture.count + "/" + capture.maxCaptures + " from face #" + (capture.faceIndex + 1));
+		draw_capture_status("Captured " + capture.count + " / " + capture.maxCaptures);
+	});
 
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+	client.on('pose-progress', (progress) => {
+		draw_pose_progress(progress);
+	});
 
-async function load_model() {
-    if (!worker) {
-        // Ensure we have a reference – this should usually not happen because
-        // initWorker already awaited workerRegistration(), but keep it as a
-        // safeguard.
-        await workerRegistration();
-    }
+	client.on('capture-rejected', (rejection) => {
+		draw_capture_status(rejection.reasons.map(reason => reason.message).join(" · "));
+	});
 
-    if (worker) {
-        worker.postMessage({ type: 'LOAD_MODELS' });
-    } else {
-        console.error('Unable to post message, worker is undefined');
-    }
+	client.on('error', (err) => {
+		console.error('Face detection error [' + err.code + ']:', err.message, err.details || '');
+	});
 }
 
+/**
+ * Creates `faceapi_client` from the page's globals, waits until models are
+ * loaded and warmed up, then runs the page's `warmup_completed` callbacks.
+ * Pages without callbacks (index.html) keep re-warming every 10 seconds so the
+ * Service Worker – and the loaded models – stay alive in the background.
+ */
 async function initWorker() {
-    if ('serviceWorker' in navigator) {
-        try {
-            // Optionally uncomment if needed
-            // await unregisterAllServiceWorker();
-
-            console.log("Registering service worker...");
-            await workerRegistration(); // Wait for worker registration
-
-            console.log("Adding event listeners...");
-            await initWorkerAddEventListener(); // Wait for event listeners to be added
+	faceapi_client = new FaceApiClient({
+		serviceWorkerPath: serviceWorkerFilePath,
+		pipelinePath: pipelineFilePath,
+		transport: workerTransport,
+		warmupImageUrl: imgFaceFilePathForWarmup,
+		modelUrl: modelFileBaseUrl,
+		modelUrls: modelFileUrls,
+		detectorOptions: face_detector_options_setup,
+		cropOptions: face_crop_options_setup,
+		maxCaptures: maxCaptures,
+		distanceThreshold: vle_distance_rate,
+		qualityThresholds: Object.assign({}, FaceApiClient.defaults.qualityThresholds, face_capture_quality_setup),
+		captureDiversity: Object.assign({}, FaceApiClient.defaults.captureDiversity, face_capture_diversity_setup),
+	});
+	bind_client_events(faceapi_client);
 
-            console.log("Waiting for 1 second...");
-            await delay(500); // Wait for 1 second to give the service worker some time to activate. If not, when the service worker is created for the first time, posting a message will cause an error and stop everything.
+	try {
+		console.log("Initializing face detection client...");
+		await faceapi_client.ready();
+		isWorkerReady = true;
+		console.log("Worker initialized successfully.");
+	} catch (error) {
+		console.error("Error initializing worker:", error);
+		if (error.details && Array.isArray(error.details.problems)) {
+			// MODEL_INTEGRITY_FAILED – list every missing / corrupt model file
+			console.table(error.details.problems);
+		}
+		return;
+	}
 
-            console.log("Loading model...");
-            await load_model(); // Wait for the model to load
-            
-            isWorkerReady = true; // Set the worker as ready
-            console.log("Worker initialized successfully.");
-        } catch (error) {
-            console.error("Error initializing worker:", error);
-        }
-    } else {
-        console.error('Service workers are not supported in this browser.');
-    }
+	if (typeof warmup_completed !== 'undefined') {
+		// Execute all functions in the array
+		warmup_completed.forEach(func => func());
+	} else {
+		setTimeout(faceapi_warmup, 10000);
+	}
 }
 
-
 function faceapi_warmup() {
-	var img_face_for_loading = imgFaceFilePathForWarmup;
-	if (img_face_for_loading) {
-		var img = new Image();
-		img.src = img_face_for_loading;
-		img.onload = () => {
-			
-			// Create the canvas element
-			let canvas_hidden = document.createElement('canvas');
-			canvas_hidden.willReadFrequently = true; 
-			canvas_hidden.style.display = 'none'; // Hide the canvas
-			document.body.appendChild(canvas_hidden); // Append to the body
-			let context = canvas_hidden.getContext("2d");
-
-			canvas_hidden.width = img.width;
-			canvas_hidden.height = img.height;
-			context.drawImage(img, 0, 0, img.width, img.height);
-			var imageData = context.getImageData(0, 0, img.width, img.height);
-			worker.postMessage({
-				type: 'WARMUP_FACES',
-				imageData,
-				width: img.width,
-				height: img.height
-			});
-			canvas_hidden.remove();
-		};
-	}
+	faceapi_client.warmup()
+		.catch(err => console.error('Warm-up failed:', err))
+		.then(() => setTimeout(faceapi_warmup, 10000));
 }
 
 //initWorker();
@@ -664,4 +934,4 @@ document.addEventListener("DOMContentLoaded", async function(event) {
     */
     console.log("DOMContentLoaded"); 
     await initWorker();
-});
\ No newline at end of file
+});